@@ -0,0 +1,924 @@
+// LLM Agent POC - DOM-free agent core
+//
+// AgentCore owns the conversation and the reasoning loop. It never touches
+// the page: settings come in through a config object and everything that
+// happens goes out as events, so the same core drives the Bootstrap UI in
+// agent.js and the headless tests in tests/.
+//
+// Config (all optional):
+//   model, maxSteps, stream
+//   provider                          adapter for model; unset or 'auto' picks it
+//                                     from the model name
+//   requestTimeoutMs, toolTimeoutMs   per LLM request / per tool call
+//   retries, retryBaseDelayMs         retries per provider for 429/5xx/network
+//   failover                          ['anthropic:claude-3-haiku', 'gpt-4o-mini', ...]
+//   simulateOnFailure                 answer from the scenario when all fail
+//   strict                            never simulate; fail with an error instead
+//   contextLimit, maxOutputTokens     context window override / reply budget
+//   prices                            { model: { input, output } } USD per 1M tokens
+//   budgetMaxTokens, budgetMaxCost, budgetMaxToolCalls   per-session hard limits
+//   toolPolicies                      { toolName: 'allow' | 'ask' | 'deny' }, default allow
+//   systemPrompt                      sent first on every request; '' sends none,
+//                                     unset uses DEFAULT_SYSTEM_PROMPT (personas.js)
+//   proxyUrl                          send LLM calls through server.js, which adds
+//                                     the keys; keys in the config are not sent
+//   proxyProviders, proxySearch       what the proxy has keys for (GET /api/proxy);
+//                                     other providers use the config keys or simulate
+//   aipipeApiKey, openaiApiKey, anthropicApiKey, googleApiKey, customApiKey
+//   customBaseUrl                     OpenAI-compatible server for provider 'custom'
+//   googleSearchEngineId, aipipeWorkflowEndpoint, aipipeWorkflowMode
+// The key names match the credential inputs, so an adapter's apiKeyField
+// is also its config key.
+//
+// Tools with the 'ask' policy wait for options.approveToolCall(toolCall,
+// { signal }), which resolves to { approved, arguments?, reason? }; approved
+// calls may come back with edited arguments. Without an approver they are
+// rejected.
+//
+// Simulated assistant turns and tool results carry simulated: true in the
+// history; tool-call and tool-result pass the flag along.
+//
+// Events (listener receives one payload object):
+//   message      { message }                       a message was added to the history
+//   token        { delta, text }                   streamed text of the current reply
+//   tool-call    { toolCall, simulated }           a tool is about to run
+//   tool-result  { toolCall, result, simulated }   a tool finished
+//   status       { status }                        'Thinking... (step 1)', 'Ready', ...
+//   warning      { message }                       non-fatal notice (simulation, limits)
+//   error        { message, error }                the loop stopped on an error
+//   context      { model, tokens, limit, dropped, truncated }
+//                                                  estimated size of the next request
+//   usage        { model, usage, session }         tokens and cost of a finished call
+//
+// cancel() stops a running loop: the pending LLM request and running tools
+// are aborted and a cancelled marker is added to the history. dispose()
+// cancels and releases the core's own Tools instance.
+
+const DEFAULT_MAX_STEPS = 10;
+const DEFAULT_REQUEST_TIMEOUT_MS = 60000;
+const DEFAULT_TOOL_TIMEOUT_MS = 30000;
+const DEFAULT_MAX_OUTPUT_TOKENS = 1000;
+const DEFAULT_RETRIES = 2;
+const DEFAULT_RETRY_BASE_DELAY_MS = 1000;
+const MAX_RETRY_DELAY_MS = 30000;
+
+const TOOL_POLICIES = ['allow', 'ask', 'deny'];
+
+// Request timeout, too early, rate limit and transient server errors,
+// including Anthropic's 529 overloaded
+const RETRYABLE_STATUSES = new Set([408, 425, 429, 500, 502, 503, 504, 529]);
+
+class AgentCore {
+    constructor(options = {}) {
+        this.config = { ...(options.config || {}) };
+        this.tools = options.tools || new Tools({ getConfig: () => this.config });
+        this.ownsTools = !options.tools;
+        this.simulator = options.simulator || new ScenarioSimulator(DEFAULT_SCENARIO);
+        this.approveToolCall = options.approveToolCall || null;
+        this.messages = [];
+        this.isProcessing = false;
+        this.listeners = new Map();
+        this.runController = null;
+
+        // Record-and-replay cassette ('off', 'record' or 'replay')
+        this.cassetteMode = 'off';
+        this.cassette = null;
+    }
+
+    on(event, listener) {
+        if (!this.listeners.has(event)) {
+            this.listeners.set(event, new Set());
+        }
+        this.listeners.get(event).add(listener);
+        return () => this.listeners.get(event).delete(listener);
+    }
+
+    emit(event, payload = {}) {
+        for (const listener of this.listeners.get(event) || []) {
+            try {
+                listener(payload);
+            } catch (error) {
+                console.error(`Listener for "${event}" failed:`, error);
+            }
+        }
+    }
+
+    updateConfig(config) {
+        this.config = { ...this.config, ...config };
+    }
+
+    addToHistory(message) {
+        this.messages.push(message);
+        this.emit('message', { message });
+    }
+
+    setStatus(status) {
+        this.emit('status', { status });
+    }
+
+    warn(message) {
+        console.warn(message);
+        this.emit('warning', { message });
+    }
+
+    cancel() {
+        // Abort the running loop; returns false when there is nothing to stop
+        if (!this.isProcessing || !this.runController || this.runController.signal.aborted) {
+            return false;
+        }
+        this.runController.abort(new DOMException('Stopped by user', 'AbortError'));
+        return true;
+    }
+
+    get signal() {
+        return this.runController ? this.runController.signal : null;
+    }
+
+    dispose() {
+        // Stop any run and release the tools this core created
+        this.cancel();
+        if (this.ownsTools) this.tools.dispose();
+        this.listeners.clear();
+    }
+
+    async send(text) {
+        // Add a user turn and run the loop until the model answers
+        if (this.isProcessing) {
+            throw new Error('The agent is already processing a message');
+        }
+
+        this.addToHistory({
+            role: 'user',
+            content: text,
+            timestamp: new Date().toISOString()
+        });
+
+        this.isProcessing = true;
+        await this.loop();
+    }
+
+    async loop() {
+        console.log('Loop started, isProcessing:', this.isProcessing, 'messages:', this.messages.length);
+
+        const maxSteps = this.getMaxSteps();
+        this.tools.resetValidationAttempts();
+        this.runController = new AbortController();
+        let step = 0;
+        let stoppedAtLimit = false;
+        let budgetMessage = null;
+        let partialOutput = '';
+
+        try {
+            while (this.messages.length > 0 && this.isProcessing && !this.signal.aborted) {
+                if (step >= maxSteps) {
+                    stoppedAtLimit = true;
+                    break;
+                }
+                budgetMessage = this.checkBudget();
+                if (budgetMessage) {
+                    break;
+                }
+                step++;
+                console.log(`Loop step ${step}/${maxSteps}`);
+
+                try {
+                    this.setStatus(`Thinking... (step ${step})`);
+
+                    partialOutput = '';
+                    const onToken = (delta, text) => {
+                        partialOutput = text;
+                        this.emit('token', { delta, text });
+                    };
+                    const result = await this.requestLLM(this.withSystemPrompt(this.messages), this.tools.getToolDefinitions(), onToken);
+                    console.log('LLM result:', result);
+
+                    const { output, toolCalls } = result || {};
+
+                    // Record the assistant turn, including its tool calls, so the
+                    // tool results that follow have something to answer
+                    const assistantMessage = {
+                        role: 'assistant',
+                        content: output || null,
+                        model: result?.model || this.config.model || '',
+                        timestamp: new Date().toISOString()
+                    };
+                    if (toolCalls && toolCalls.length > 0) {
+                        assistantMessage.tool_calls = toolCalls;
+                    }
+                    if (result?.simulated) {
+                        assistantMessage.simulated = true;
+                    }
+                    if (result?.usage) {
+                        const price = findModelPrice(assistantMessage.model, this.config.prices);
+                        assistantMessage.usage = { ...result.usage, cost: calculateCost(result.usage, price) };
+                    }
+                    this.addToHistory(assistantMessage);
+                    if (assistantMessage.usage) {
+                        this.emit('usage', {
+                            model: assistantMessage.model,
+                            usage: assistantMessage.usage,
+                            session: this.getSessionUsage()
+                        });
+                    }
+
+                    if (!toolCalls || toolCalls.length === 0) {
+                        // No tool calls, the model has answered - wait for user input
+                        console.log('No tool calls, stopping processing');
+                        break;
+                    }
+
+                    // Tool budget is checked before any of the calls run
+                    budgetMessage = this.checkBudget(toolCalls.length);
+                    if (budgetMessage) {
+                        break;
+                    }
+
+                    console.log('Processing tool calls:', toolCalls.length);
+                    this.setStatus(`Executing tools... (step ${step})`);
+
+                    // Execute tool calls (potentially in parallel)
+                    const toolResults = await Promise.all(
+                        toolCalls.map(async (toolCall) => {
+                            this.emit('tool-call', { toolCall, simulated: Boolean(result?.simulated) });
+
+                            const toolResult = await this.runToolCall(toolCall);
+                            if (toolResult?.type === 'validation_limit') {
+                                this.warn(`The model kept sending invalid arguments to ${toolCall.function.name}; it has been told to stop calling it.`);
+                            }
+                            const simulated = toolResult?.simulated === true;
+                            this.emit('tool-result', { toolCall, result: toolResult, simulated });
+
+                            const toolMessage = {
+                                tool_call_id: toolCall.id,
+                                role: 'tool',
+                                content: JSON.stringify(toolResult),
+                                timestamp: new Date().toISOString()
+                            };
+                            if (simulated) {
+                                toolMessage.simulated = true;
+                            }
+                            return toolMessage;
+                        })
+                    );
+
+                    // Results of a stopped run are dropped with their calls
+                    this.signal.throwIfAborted();
+
+                    // Feed tool results back and let the model continue
+                    toolResults.forEach(message => this.addToHistory(message));
+                } catch (error) {
+                    if (this.signal.aborted) {
+                        this.recordCancelled(partialOutput);
+                        break;
+                    }
+                    console.error('Loop error:', error);
+                    this.emit('error', { message: `Agent error: ${error.message}`, error });
+                    break;
+                }
+            }
+
+            if (stoppedAtLimit) {
+                this.warn(`Stopped at step ${step}: the step limit (${maxSteps}) was reached while the agent was still using tools. Send a message to let it continue, or raise the step limit.`);
+            }
+            if (budgetMessage) {
+                this.warn(budgetMessage);
+            }
+        } finally {
+            // Always reset processing state
+            this.isProcessing = false;
+            this.runController = null;
+            this.setStatus(
+                stoppedAtLimit ? `Stopped at step ${step}` :
+                budgetMessage ? 'Stopped: budget reached' :
+                'Ready'
+            );
+            console.log('Loop ended, isProcessing:', this.isProcessing, 'steps:', step);
+        }
+    }
+
+    recordCancelled(partialOutput) {
+        // Marker for the history and exports; cleanMessagesForAPI skips it
+        console.log('Loop cancelled by user');
+        this.addToHistory({
+            role: 'assistant',
+            content: partialOutput ? `${partialOutput}\n\n⏹️ Stopped by user.` : '⏹️ Stopped by user.',
+            cancelled: true,
+            timestamp: new Date().toISOString()
+        });
+    }
+
+    getSessionUsage() {
+        return summarizeUsage(this.messages);
+    }
+
+    checkBudget(pendingToolCalls = 0) {
+        // Returns a message when the session has used up a budget, else null
+        const usage = this.getSessionUsage();
+        const maxTokens = this.getPositiveInteger('budgetMaxTokens', 0);
+        const maxToolCalls = this.getPositiveInteger('budgetMaxToolCalls', 0);
+        const maxCost = parseFloat(this.config.budgetMaxCost) || 0;
+        const advice = 'Raise the budget or start a new conversation.';
+
+        if (maxTokens && usage.totalTokens >= maxTokens) {
+            return `Token budget reached: ${usage.totalTokens} of ${maxTokens} tokens used in this session. ${advice}`;
+        }
+        if (maxCost > 0 && usage.cost >= maxCost) {
+            return `Cost budget reached: ${formatCost(usage.cost)} of ${formatCost(maxCost)} spent in this session. ${advice}`;
+        }
+        if (maxToolCalls && usage.toolCalls + pendingToolCalls > maxToolCalls) {
+            return `Tool call budget reached: ${usage.toolCalls} of ${maxToolCalls} tool calls used in this session` +
+                (pendingToolCalls ? ` and the model asked for ${pendingToolCalls} more` : '') + `. ${advice}`;
+        }
+        return null;
+    }
+
+    getSystemPrompt() {
+        const prompt = this.config.systemPrompt;
+        return typeof prompt === 'string' ? prompt.trim() : DEFAULT_SYSTEM_PROMPT;
+    }
+
+    withSystemPrompt(messages) {
+        // The prompt is added per request rather than stored in the history,
+        // so edits take effect on the next call
+        const prompt = this.getSystemPrompt();
+        return prompt ? [{ role: 'system', content: prompt }, ...messages] : messages;
+    }
+
+    async requestLLM(messages, tools, onToken) {
+        // All LLM calls from the loop go through here so cassettes can record
+        // them or answer them from a recording
+        const request = {
+            model: this.config.model || '',
+            messages: this.cleanMessagesForAPI(messages),
+            tools: tools.map(tool => tool.function.name)
+        };
+
+        if (this.cassetteMode === 'replay') {
+            const result = this.cassette.replay('llm', request);
+            if (onToken && result.output) {
+                onToken(result.output, result.output);
+            }
+            return result;
+        }
+        if (this.cassetteMode === 'record') {
+            return this.cassette.record('llm', request, () => this.callLLM(messages, tools, onToken));
+        }
+        return this.callLLM(messages, tools, onToken);
+    }
+
+    async runToolCall(toolCall) {
+        const request = { name: toolCall.function.name, arguments: toolCall.function.arguments };
+
+        if (this.cassetteMode === 'replay') {
+            return this.cassette.replay('tool', request);
+        }
+
+        const execute = async () => {
+            // A refusal is the tool's result, so cassettes record it too
+            const refusal = await this.authorizeToolCall(toolCall);
+            if (refusal) {
+                return refusal;
+            }
+
+            // Each call gets its own deadline on top of the run's Stop signal;
+            // time spent waiting for approval does not count
+            const timeoutMs = this.getPositiveInteger('toolTimeoutMs', DEFAULT_TOOL_TIMEOUT_MS);
+            const deadline = createDeadlineSignal(this.signal, timeoutMs);
+            try {
+                return await this.tools.executeToolCall(toolCall, { signal: deadline.signal });
+            } finally {
+                deadline.clear();
+            }
+        };
+
+        if (this.cassetteMode === 'record') {
+            return this.cassette.record('tool', request, execute);
+        }
+        return execute();
+    }
+
+    getToolPolicy(name) {
+        const policy = this.config.toolPolicies?.[name];
+        return TOOL_POLICIES.includes(policy) ? policy : 'allow';
+    }
+
+    async authorizeToolCall(toolCall) {
+        // Returns null when the call may run, otherwise the error result that
+        // goes back to the model instead of running it
+        const name = toolCall.function.name;
+        const policy = this.getToolPolicy(name);
+        if (policy === 'allow') {
+            return null;
+        }
+
+        if (policy === 'deny') {
+            return {
+                error: true,
+                type: 'denied',
+                tool: name,
+                message: `The user does not allow the "${name}" tool. Do not call it again; answer without it.`
+            };
+        }
+
+        if (!this.approveToolCall) {
+            return {
+                error: true,
+                type: 'rejected',
+                tool: name,
+                message: `The "${name}" tool needs the user's approval and no one was available to give it.`
+            };
+        }
+
+        const decision = await this.approveToolCall(toolCall, { signal: this.signal }) || {};
+        if (!decision.approved) {
+            const reason = decision.reason ? ` (${decision.reason})` : '';
+            return {
+                error: true,
+                type: 'rejected',
+                tool: name,
+                message: `The user declined to run "${name}" with these arguments${reason}. Do not retry the same call; continue without it or ask the user how to proceed.`
+            };
+        }
+
+        // Edited arguments replace the model's, in the history as well, so
+        // the conversation shows what actually ran
+        if (decision.arguments !== undefined) {
+            toolCall.function.arguments = typeof decision.arguments === 'string'
+                ? decision.arguments
+                : JSON.stringify(decision.arguments);
+        }
+        return null;
+    }
+
+    getPositiveInteger(name, fallback) {
+        const value = parseInt(this.config[name], 10);
+        return Number.isFinite(value) && value > 0 ? value : fallback;
+    }
+
+    getMaxSteps() {
+        // User-configurable limit on LLM calls per user message
+        const maxSteps = parseInt(this.config.maxSteps, 10);
+        return Number.isFinite(maxSteps) && maxSteps > 0 ? maxSteps : DEFAULT_MAX_STEPS;
+    }
+
+    cleanMessagesForAPI(messages) {
+        // Clean up messages to ensure valid conversation flow for OpenAI API
+        // Rule: 'tool' role messages must answer a tool_call of the preceding
+        // 'assistant' message, and every tool_call must have an answer
+
+        const cleanedMessages = [];
+        let pendingAssistant = null;
+        let pendingIds = new Set();
+        let answeredIds = new Set();
+
+        const settlePendingAssistant = () => {
+            if (!pendingAssistant) return;
+            const { index, message } = pendingAssistant;
+            const answeredCalls = message.tool_calls.filter(tc => answeredIds.has(tc.id));
+            if (answeredCalls.length === message.tool_calls.length) {
+                // Fully answered, keep as is
+            } else if (answeredCalls.length > 0) {
+                cleanedMessages[index] = { ...message, tool_calls: answeredCalls };
+            } else {
+                // None of the calls were answered (e.g. the loop was stopped)
+                const { tool_calls, ...rest } = message;
+                cleanedMessages[index] = rest.content ? rest : null;
+            }
+            pendingAssistant = null;
+            pendingIds = new Set();
+            answeredIds = new Set();
+        };
+
+        for (const message of messages) {
+            // Cancelled markers are local history only
+            if (message.cancelled) continue;
+
+            if (message.role === 'tool') {
+                // Only include tool messages that answer a pending tool_call
+                if (pendingIds.has(message.tool_call_id) && !answeredIds.has(message.tool_call_id)) {
+                    answeredIds.add(message.tool_call_id);
+                    cleanedMessages.push(this.toAPIMessage(message));
+                }
+                // Skip orphaned tool messages
+                continue;
+            }
+
+            settlePendingAssistant();
+            cleanedMessages.push(this.toAPIMessage(message));
+
+            // Check if this assistant message has tool_calls
+            if (message.role === 'assistant' && message.tool_calls && message.tool_calls.length > 0) {
+                pendingAssistant = { index: cleanedMessages.length - 1, message };
+                pendingIds = new Set(message.tool_calls.map(tc => tc.id));
+            }
+        }
+        settlePendingAssistant();
+
+        return cleanedMessages.filter(Boolean);
+    }
+
+    toAPIMessage(message) {
+        // Drop local metadata (timestamps, model) that providers would reject
+        const apiMessage = { role: message.role, content: message.content };
+        if (message.tool_calls) apiMessage.tool_calls = message.tool_calls;
+        if (message.tool_call_id) apiMessage.tool_call_id = message.tool_call_id;
+        if (message.name) apiMessage.name = message.name;
+        return apiMessage;
+    }
+
+    async callLLM(messages, tools, onToken = null) {
+        // Clean messages to ensure valid conversation flow
+        const cleanedMessages = this.cleanMessagesForAPI(messages);
+        console.log('Original messages:', messages.length, 'Cleaned messages:', cleanedMessages.length);
+
+        if (!this.config.model) {
+            throw new Error('No model configured');
+        }
+
+        // The configured model first, then the failover chain in order
+        const routes = this.getRoutes();
+
+        // No credentials for any of them: keyless demo mode, with a notice
+        if (!routes.some(route => route.ready)) {
+            const setup = routes[0].adapter.baseUrlField ? `set the ${routes[0].adapter.label} base URL` : `add your ${routes[0].adapter.label} API key`;
+            if (this.config.strict) {
+                throw new Error(`Strict mode: ${setup}; simulated responses are disabled`);
+            }
+            this.warn(`Using simulation mode. ${setup[0].toUpperCase()}${setup.slice(1)} for real LLM responses.`);
+            return this.simulateLLMCall(cleanedMessages, tools);
+        }
+
+        const failures = [];
+        for (const [index, route] of routes.entries()) {
+            if (!route.ready) {
+                failures.push(`${route.label}: ${route.adapter.baseUrlField ? 'no base URL' : 'no API key'}`);
+                continue;
+            }
+
+            try {
+                return await this.requestWithRetry(route, cleanedMessages, tools, onToken);
+            } catch (error) {
+                // Stop pressed, or part of the reply is already on screen
+                if (this.signal?.aborted || error.streamed) {
+                    throw error;
+                }
+
+                const reason = describeRequestFailure(error);
+                failures.push(`${route.label}: ${reason}`);
+                console.error('API Error Details:', {
+                    provider: route.provider,
+                    model: route.model,
+                    error: error.message,
+                    status: error.status,
+                    stack: error.stack
+                });
+
+                const next = routes.slice(index + 1).find(candidate => candidate.ready);
+                if (next) {
+                    this.warn(`${route.label} failed: ${reason}. Trying ${next.label}.`);
+                }
+            }
+        }
+
+        const summary = `All LLM providers failed. ${failures.join('; ')}`;
+
+        // Canned answers only when the user asked for them
+        if (this.config.simulateOnFailure && !this.config.strict) {
+            this.warn(`${summary}. Using simulation mode.`);
+            return this.simulateLLMCall(cleanedMessages, tools);
+        }
+        throw new Error(summary);
+    }
+
+    getRoutes() {
+        // [{ provider, model, adapter, apiKey, baseUrl, ready, label }] for the
+        // primary model and every failover entry. Providers the proxy has a
+        // key for go through it; the rest use the config keys, so a proxy
+        // without keys still leaves the simulation. Adapters with their own
+        // base URL are always called directly.
+        const viaProxy = (provider) => Boolean(this.config.proxyUrl) && (this.config.proxyProviders || []).includes(provider);
+        const selected = this.config.provider && this.config.provider !== 'auto' ? this.config.provider : null;
+        const primary = selected ? { provider: selected, model: this.config.model } : this.config.model;
+        const entries = [primary, ...(this.config.failover || [])];
+        return entries.map(entry => {
+            const { provider: pinned, model } = typeof entry === 'string' ? parseRouteEntry(entry) : entry;
+
+            // An AI Pipe key, in the config or on the proxy, routes every
+            // model through AI Pipe unless the entry names its provider
+            let provider = pinned || LLMProviders.forModel(model);
+            if (!pinned && (this.config.aipipeApiKey || viaProxy('aipipe'))) {
+                provider = 'aipipe';
+            }
+
+            const adapter = LLMProviders.get(provider);
+            if (!adapter) {
+                throw new Error(`Unsupported provider: ${provider}`);
+            }
+            const baseUrl = adapter.baseUrlField ? (this.config[adapter.baseUrlField] || '').trim() : '';
+            const proxied = !adapter.baseUrlField && viaProxy(provider);
+            const apiKey = proxied ? '' : this.getApiKey(adapter);
+            const ready = adapter.baseUrlField
+                ? Boolean(baseUrl) && (Boolean(apiKey) || Boolean(adapter.apiKeyOptional))
+                : proxied || Boolean(apiKey);
+            return {
+                provider,
+                model,
+                adapter,
+                apiKey,
+                baseUrl,
+                proxied,
+                ready,
+                label: `${adapter.label} (${model})`
+            };
+        });
+    }
+
+    async requestWithRetry(route, messages, tools, onToken) {
+        // Retry transient failures (429, 5xx, network) with backoff
+        const retries = this.getRetries();
+
+        for (let attempt = 0; ; attempt++) {
+            let streamed = false;
+            const onAttemptToken = onToken && ((delta, text) => {
+                streamed = true;
+                onToken(delta, text);
+            });
+
+            try {
+                return await this.requestProvider(route, messages, tools, onAttemptToken);
+            } catch (error) {
+                if (this.signal?.aborted || streamed || !error.retryable || attempt >= retries) {
+                    error.streamed = streamed;
+                    throw error;
+                }
+
+                const delayMs = this.getRetryDelay(attempt, error.retryAfterMs);
+                this.warn(`${route.label} failed: ${error.message.replace(/\.+$/, '')}. Retrying in ${Math.ceil(delayMs / 1000)} s (retry ${attempt + 1} of ${retries}).`);
+                await sleep(delayMs, this.signal);
+            }
+        }
+    }
+
+    async requestProvider(route, messages, tools, onToken) {
+        // One HTTP request to one provider; failures carry status, retryable
+        // and retryAfterMs for requestWithRetry
+        const { provider, model, adapter, apiKey, baseUrl, proxied } = route;
+        const stream = Boolean(onToken) && this.isStreamingEnabled() && typeof adapter.parseStream === 'function';
+        const maxTokens = this.getMaxOutputTokens();
+        const fitted = this.fitToContext(model, messages, tools, maxTokens);
+        const context = { model, messages: fitted.messages, tools, apiKey, baseUrl, stream, maxTokens };
+        const timeoutMs = this.getPositiveInteger('requestTimeoutMs', DEFAULT_REQUEST_TIMEOUT_MS);
+        const deadline = createDeadlineSignal(this.signal, timeoutMs);
+
+        try {
+            let request = adapter.buildRequest(context);
+            // Adapters may send another name than the route's (AI Pipe vendor
+            // prefixes, the gpt-4 fallback); cost follows what was sent
+            const sentModel = typeof request.body?.model === 'string' ? request.body.model : model;
+            if (proxied) {
+                request = toProxyRequest(this.config.proxyUrl, provider, model, request);
+            }
+
+            console.log(`Making ${provider} API call to:`, request.url);
+            console.log(`${provider} request body:`, JSON.stringify(request.body, null, 2));
+
+            let response;
+            try {
+                response = await fetch(request.url, {
+                    method: 'POST',
+                    headers: request.headers,
+                    body: JSON.stringify(request.body),
+                    signal: deadline.signal
+                });
+            } catch (error) {
+                if (deadline.timedOut()) {
+                    throw createRequestError(`no response within ${timeoutMs / 1000} s`, { timedOut: true });
+                }
+                if (this.signal?.aborted) {
+                    throw error;
+                }
+                // DNS failures and dropped connections are usually transient
+                throw createRequestError(error.message, { network: true, retryable: true });
+            }
+
+            console.log(`${provider} response status:`, response.status, response.statusText);
+
+            if (!response.ok) {
+                let errorData = null;
+                try {
+                    errorData = await response.json();
+                    console.log(`${provider} error data:`, errorData);
+
+                    // Log full error details for debugging
+                    if (errorData.error && errorData.error.metadata) {
+                        console.log(`${provider} error metadata:`, errorData.error.metadata);
+                    }
+                } catch (e) {
+                    // Error response is not JSON
+                    console.log(`${provider} error response not JSON:`, e);
+                }
+
+                throw createRequestError(adapter.mapError({
+                    status: response.status,
+                    statusText: response.statusText,
+                    errorData
+                }, context), {
+                    status: response.status,
+                    retryable: RETRYABLE_STATUSES.has(response.status),
+                    retryAfterMs: parseRetryAfter(response.headers.get('retry-after'))
+                });
+            }
+
+            let result;
+
+            // Streamed responses arrive as server-sent events
+            const contentType = response.headers.get('content-type') || '';
+            if (stream && contentType.includes('text/event-stream')) {
+                result = await adapter.parseStream(response, onToken, context);
+            } else {
+                const responseText = await response.text();
+                console.log(`${provider} raw response:`, responseText.substring(0, 200) + '...');
+
+                let data;
+                try {
+                    data = JSON.parse(responseText);
+                } catch (e) {
+                    console.error(`${provider} response parsing error:`, e);
+                    console.error('Response was:', responseText.substring(0, 500));
+                    throw new Error(`Invalid JSON response from ${provider}: ${e.message}`);
+                }
+
+                result = adapter.parseResponse(data, context);
+            }
+
+            return {
+                output: result.output || '',
+                toolCalls: adapter.normalizeToolCalls(result.toolCalls, context),
+                model: result.model || sentModel,
+                usage: result.usage || null
+            };
+        } finally {
+            deadline.clear();
+        }
+    }
+
+    fitToContext(model, messages, tools, maxTokens) {
+        // Trim the history to the model's window and report the usage
+        const limit = this.getPositiveInteger('contextLimit', contextLimitForModel(model));
+        const fitted = fitToContext(messages, { limit, reserve: maxTokens, tools });
+
+        if (fitted.dropped > 0 || fitted.truncated > 0) {
+            console.log(`Context trimmed for ${model}: dropped ${fitted.dropped} messages, shortened ${fitted.truncated} tool results`);
+        }
+        if (fitted.overLimit) {
+            console.warn(`Request for ${model} is still about ${fitted.tokens} tokens, over its ${fitted.budget} token budget`);
+        }
+        this.emit('context', {
+            model,
+            tokens: fitted.tokens,
+            limit,
+            dropped: fitted.dropped,
+            truncated: fitted.truncated
+        });
+        return fitted;
+    }
+
+    getMaxOutputTokens() {
+        return this.getPositiveInteger('maxOutputTokens', DEFAULT_MAX_OUTPUT_TOKENS);
+    }
+
+    getRetries() {
+        const retries = parseInt(this.config.retries, 10);
+        return Number.isFinite(retries) && retries >= 0 ? retries : DEFAULT_RETRIES;
+    }
+
+    getRetryDelay(attempt, retryAfterMs = null) {
+        // The server's Retry-After wins; otherwise exponential backoff with
+        // +/-25% jitter. Both are capped so one retry cannot stall the loop.
+        if (retryAfterMs !== null && retryAfterMs !== undefined) {
+            return Math.min(retryAfterMs, MAX_RETRY_DELAY_MS);
+        }
+        const base = parseInt(this.config.retryBaseDelayMs, 10);
+        const delay = (Number.isFinite(base) && base >= 0 ? base : DEFAULT_RETRY_BASE_DELAY_MS) * 2 ** attempt;
+        return Math.min(Math.round(delay * (0.75 + Math.random() * 0.5)), MAX_RETRY_DELAY_MS);
+    }
+
+    getApiKey(adapter) {
+        return (adapter.apiKeyField && this.config[adapter.apiKeyField]) || '';
+    }
+
+    isStreamingEnabled() {
+        return this.config.stream !== false;
+    }
+
+    async simulateLLMCall(messages, tools) {
+        // Answer from the active scenario instead of a real model
+        await sleep(this.simulator.delayMs, this.signal);
+
+        const result = this.simulator.respond(messages, {
+            toolNames: (tools || []).map(tool => tool.function.name),
+            formatResult: (name, toolResult) => this.tools.formatResult(name, toolResult)
+        });
+        console.log(`Simulation rule: ${result.rule || '(none matched)'}`);
+        return { output: result.output, toolCalls: result.toolCalls, simulated: true };
+    }
+}
+
+function toProxyRequest(proxyUrl, provider, model, request) {
+    // Same body, sent to the proxy's route for the provider; the proxy picks
+    // the vendor URL and adds the key itself. X-LLM-Agent is required by the
+    // proxy, so plain cross-site requests cannot use it
+    return {
+        url: `${proxyUrl.replace(/\/+$/, '')}/api/chat/${encodeURIComponent(provider)}?model=${encodeURIComponent(model)}`,
+        headers: { 'Content-Type': 'application/json', 'X-LLM-Agent': '1' },
+        body: request.body
+    };
+}
+
+function parseRouteEntry(entry) {
+    // 'anthropic:claude-3-haiku' pins the provider; a bare model name lets
+    // the registry pick one
+    const text = String(entry).trim();
+    const separator = text.indexOf(':');
+    if (separator > 0 && LLMProviders.get(text.slice(0, separator))) {
+        return { provider: text.slice(0, separator), model: text.slice(separator + 1).trim() };
+    }
+    return { provider: null, model: text };
+}
+
+function parseRetryAfter(header) {
+    // Retry-After is either delay seconds or an HTTP date; null if absent
+    if (!header) return null;
+    const seconds = Number(header);
+    if (Number.isFinite(seconds)) {
+        return Math.max(0, seconds * 1000);
+    }
+    const date = Date.parse(header);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+function createRequestError(message, details = {}) {
+    return Object.assign(new Error(message), details);
+}
+
+function describeRequestFailure(error) {
+    // Error message plus a hint for the common cases, without the final
+    // full stop so it can be embedded in a sentence
+    let reason = error.message.replace(/\.+$/, '');
+    if (error.network) {
+        reason += ' (Network issue - check internet connection)';
+    } else if (reason.includes('quota')) {
+        reason += ' (Add billing information to your account)';
+    } else if (reason.includes('not exist')) {
+        reason += ' (Try a different model like gpt-3.5-turbo)';
+    }
+    return reason;
+}
+
+function createDeadlineSignal(parentSignal, timeoutMs) {
+    // Signal that aborts when the parent aborts (Stop) or the timeout expires
+    const controller = new AbortController();
+    let timedOut = false;
+
+    const onParentAbort = () => controller.abort(parentSignal.reason);
+    if (parentSignal) {
+        if (parentSignal.aborted) onParentAbort();
+        else parentSignal.addEventListener('abort', onParentAbort, { once: true });
+    }
+
+    const timer = setTimeout(() => {
+        timedOut = true;
+        controller.abort(new DOMException(`Timed out after ${timeoutMs} ms`, 'TimeoutError'));
+    }, timeoutMs);
+
+    return {
+        signal: controller.signal,
+        timedOut: () => timedOut,
+        clear() {
+            clearTimeout(timer);
+            if (parentSignal) parentSignal.removeEventListener('abort', onParentAbort);
+        }
+    };
+}
+
+function sleep(ms, signal = null) {
+    // setTimeout as a promise that rejects early when the signal aborts
+    return new Promise((resolve, reject) => {
+        if (signal?.aborted) {
+            reject(signal.reason);
+            return;
+        }
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(signal.reason);
+        };
+        const timer = setTimeout(() => {
+            if (signal) signal.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        if (signal) signal.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+// Export for use in agent.js and the headless tests
+window.AgentCore = AgentCore;
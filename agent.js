@@ -1,656 +1,345 @@
-// LLM Agent POC - Core Agent Logic
+// LLM Agent POC - Bootstrap UI for the agent core
+//
+// LLMAgent reads settings from the page into the AgentCore config and
+// renders the core's events into the conversation window. The loop itself
+// lives in agent-core.js.
+
+// Used until the user picks policies; code execution asks first
+const DEFAULT_TOOL_POLICIES = { execute_javascript: 'ask' };
+
+// Credential inputs saved in the encrypted vault; the ids are also the
+// AgentCore config keys
+const CREDENTIAL_FIELDS = [
+    'aipipeApiKey',
+    'openaiApiKey',
+    'anthropicApiKey',
+    'googleApiKey',
+    'googleSearchEngineId',
+    'aipipeWorkflowEndpoint',
+    'aipipeWorkflowMode',
+    'customBaseUrl',
+    'customApiKey'
+];
+
+// Plaintext credentials written by earlier versions; removed once encrypted
+const LEGACY_CREDENTIALS_KEY = 'llmAgentCredentials';
 
 class LLMAgent {
     constructor() {
-        this.tools = new Tools();
-        this.messages = [];
-        this.isProcessing = false;
         this.conversationWindow = document.getElementById('conversationWindow');
         this.userInput = document.getElementById('userInput');
         this.statusBadge = document.getElementById('statusBadge');
         this.alertContainer = document.getElementById('alertContainer');
-    }
+        this.toolToggles = document.getElementById('toolToggles');
+        this.historyList = document.getElementById('historyList');
+        this.historySearch = document.getElementById('historySearch');
+        this.cassetteStatus = document.getElementById('cassetteStatus');
+        this.stopButton = document.getElementById('stopButton');
+        this.contextUsage = document.getElementById('contextUsage');
+        this.usageSummary = document.getElementById('usageSummary');
+        this.loadPriceTable();
+        this.toolPolicies = this.loadToolPolicies();
+        this.customPersonas = this.loadCustomPersonas();
+        this.loadSystemPrompt();
+        // { providers, search } reported by the proxy server, if one is set
+        this.proxyInfo = null;
+        this.setSelectedProvider(localStorage.getItem('llmAgentProvider'));
 
-    async loop() {
-        console.log('Loop started, isProcessing:', this.isProcessing, 'messages:', this.messages.length);
-        
-        let iterations = 0;
-        const maxIterations = 3; // Reduced to 3 iterations max
-        
-        try {
-            while (this.messages.length > 0 && this.isProcessing && iterations < maxIterations) {
-                iterations++;
-                console.log(`Loop iteration ${iterations}/${maxIterations}`);
-                
-                try {
-                    this.updateStatus('Thinking...');
-                    console.log('Calling LLM with messages:', this.messages.map(m => ({role: m.role, content: m.content?.substring(0, 50) + '...'})));
-                    
-                    const result = await this.callLLM(this.messages, this.tools.getToolDefinitions());
-                    console.log('LLM result:', result);
-                    
-                    const { output, toolCalls } = result || {};
-                    
-                    if (output && output.trim()) {
-                        console.log('Adding agent message:', output.substring(0, 100) + '...');
-                        this.addMessage('agent', output);
-                    }
-
-                    if (toolCalls && toolCalls.length > 0) {
-                        console.log('Processing tool calls:', toolCalls.length);
-                        this.updateStatus('Executing tools...');
-                        
-                        // Execute tool calls (potentially in parallel)
-                        const toolResults = await Promise.all(
-                            toolCalls.map(async (toolCall) => {
-                                this.addMessage('tool-call', `🔧 ${toolCall.function.name}(${JSON.stringify(toolCall.function.arguments)})`);
-                                
-                                const result = await this.tools.executeToolCall(toolCall);
-                                
-                                // Format tool result for display
-                                let displayResult;
-                                if (toolCall.function.name === 'google_search' && result.results) {
-                                    // Format search results nicely
-                                    const formattedResults = result.results.slice(0, 5).map((searchResult, index) => 
-                                        `**${index + 1}. ${searchResult.title}**\n${searchResult.snippet}\n🔗 [${searchResult.displayLink}](${searchResult.url})`
-                                    ).join('\n\n');
-                                    displayResult = `## Search Results for "${result.query}"\n\n${formattedResults}\n\n📊 Total results: ${result.totalResults} • Source: ${result.source}`;
-                                } else if (toolCall.function.name === 'execute_javascript') {
-                                    // Format code execution results
-                                    const status = result.success ? '✅ Success' : '❌ Error';
-                                    const output = result.output || '';
-                                    const error = result.error ? `\n**Error:** ${result.error}` : '';
-                                    displayResult = `**Code Execution ${status}**\n\n\`\`\`javascript\n${result.code}\n\`\`\`\n\n**Output:**\n\`\`\`\n${output}\`\`\`${error}`;
-                                } else if (toolCall.function.name === 'aipipe_workflow') {
-                                    // Format AI Pipe results
-                                    displayResult = `**AI Pipe ${result.workflow || 'Workflow'} Complete**\n\n${result.output || result.response || JSON.stringify(result, null, 2)}`;
-                                } else {
-                                    // Fallback to JSON for unknown tools
-                                    displayResult = JSON.stringify(result, null, 2);
-                                }
-                                
-                                this.addMessage('tool-result', `✅ ${displayResult}`);
-                                
-                                return {
-                                    tool_call_id: toolCall.id,
-                                    role: 'tool',
-                                    content: JSON.stringify(result)
-                                };
-                            })
-                        );
-
-                        // Add tool results to messages
-                        this.messages.push(...toolResults);
-                        
-                        // IMPORTANT: Break after tool execution to prevent loops
-                        // Let the next user input trigger the next processing cycle
-                        console.log('Tool execution complete, stopping loop');
-                        break;
-                    } else {
-                        // No tool calls, wait for user input
-                        console.log('No tool calls, stopping processing');
-                        break;
-                    }
-                } catch (error) {
-                    console.error('Loop error:', error);
-                    this.showError(`Agent error: ${error.message}`);
-                    break;
-                }
-            }
-            
-            if (iterations >= maxIterations) {
-                console.warn('Loop stopped due to max iterations reached');
-                this.showWarning('Processing stopped to prevent infinite loop. Please try a different approach.');
-            }
-        } finally {
-            // Always reset processing state
-            this.isProcessing = false;
-            this.updateStatus('Ready');
-            console.log('Loop ended, isProcessing:', this.isProcessing, 'iterations:', iterations);
+        // Credentials are encrypted at rest and locked after inactivity
+        this.vault = new CredentialVault();
+        this.autoLockTimer = null;
+        for (const eventName of ['click', 'keydown']) {
+            document.addEventListener(eventName, () => this.scheduleAutoLock(), { passive: true });
         }
+
+        // Copy buttons on rendered code blocks
+        this.conversationWindow.addEventListener('click', (event) => {
+            const button = event.target.closest('.copy-code-btn');
+            if (button) this.copyCode(button);
+        });
+
+        // Scenario used when no API key is configured
+        this.core = new AgentCore({
+            config: this.readConfig(),
+            simulator: this.loadSavedScenario(),
+            approveToolCall: (toolCall, options) => this.requestToolApproval(toolCall, options)
+        });
+        this.tools = this.core.tools;
+        this.bindCoreEvents();
+        this.updateScenarioStatus();
+
+        // Keep the tool switches in sync with the registry
+        this.tools.onChange(() => this.renderToolToggles());
+        this.renderToolToggles();
+        this.renderPersonaOptions();
+
+        // Conversation history persisted in IndexedDB
+        this.store = new ConversationStore();
+        this.startNewSession();
+        this.renderHistory();
     }
 
-    cleanMessagesForAPI(messages) {
-        // Clean up messages to ensure valid conversation flow for OpenAI API
-        // Rule: 'tool' role messages must follow 'assistant' messages with tool_calls
-        
-        const cleanedMessages = [];
-        let lastMessageHadToolCalls = false;
-        
-        for (let i = 0; i < messages.length; i++) {
-            const message = messages[i];
-            
-            if (message.role === 'tool') {
-                // Only include tool messages if the previous assistant message had tool_calls
-                if (lastMessageHadToolCalls) {
-                    cleanedMessages.push(message);
-                }
-                // Skip orphaned tool messages
-                lastMessageHadToolCalls = false;
-            } else {
-                cleanedMessages.push(message);
-                // Check if this assistant message has tool_calls
-                lastMessageHadToolCalls = message.role === 'assistant' && message.tool_calls && message.tool_calls.length > 0;
-            }
-        }
-        
-        return cleanedMessages;
+    get messages() {
+        return this.core.messages;
     }
 
-    async callLLM(messages, tools, forceProvider = null) {
-        // Clean messages to ensure valid conversation flow
-        const cleanedMessages = this.cleanMessagesForAPI(messages);
-        console.log('Original messages:', messages.length, 'Cleaned messages:', cleanedMessages.length);
-        
-        const modelSelect = document.getElementById('modelName');
-        if (!modelSelect) {
-            throw new Error('Model select element not found');
-        }
-        
-        const model = modelSelect.value;
-        const provider = forceProvider || this.getProviderFromModel(model);
-        
-        // Handle AI Pipe routing (only if not already using AI Pipe)
-        const aipipeKeyElement = document.getElementById('aipipeApiKey');
-        if (!forceProvider && provider !== 'aipipe' && aipipeKeyElement && aipipeKeyElement.value) {
-            // Route through AI Pipe if API key is available
-            return this.callLLM(cleanedMessages, tools, 'aipipe');
-        }
-
-        let apiKey;
-        switch (provider) {
-            case 'aipipe':
-                const aipipeElement = document.getElementById('aipipeApiKey');
-                apiKey = aipipeElement ? aipipeElement.value : '';
-                break;
-            case 'openai':
-                const openaiElement = document.getElementById('openaiApiKey');
-                apiKey = openaiElement ? openaiElement.value : '';
-                break;
-            case 'anthropic':
-                const anthropicElement = document.getElementById('anthropicApiKey');
-                apiKey = anthropicElement ? anthropicElement.value : '';
-                break;
-            case 'google':
-                const googleElement = document.getElementById('googleApiKey');
-                apiKey = googleElement ? googleElement.value : '';
-                break;
-        }
+    set messages(messages) {
+        this.core.messages = messages;
+    }
 
-        // If no API key is provided, use simulation with a notice
-        if (!apiKey) {
-            console.warn(`${provider.toUpperCase()} API key not provided, using simulation mode`);
-            this.showWarning(`Using simulation mode. Add your ${provider.toUpperCase()} API key for real LLM responses.`);
-            return this.simulateLLMCall(cleanedMessages, tools);
-        }
-
-        // Prepare the request based on provider
-        let apiUrl, headers, body;
-
-        switch (provider) {
-            case 'aipipe':
-                // Use OpenAI format through AI Pipe proxy
-                apiUrl = 'https://aipipe.org/openrouter/v1/chat/completions';
-                headers = {
-                    'Content-Type': 'application/json',
-                    'Authorization': `Bearer ${apiKey}`
-                };
-                // Simplified request - remove tools temporarily to test basic functionality
-                body = {
-                    model: this.mapModelForAIPipe(model),
-                    messages: cleanedMessages,
-                    max_tokens: 1000
-                };
-                // Only add tools if we have them and they're properly formatted
-                if (tools && tools.length > 0) {
-                    body.tools = tools;
-                    body.tool_choice = 'auto';
-                }
-                break;
-            case 'openai':
-                apiUrl = 'https://api.openai.com/v1/chat/completions';
-                headers = {
-                    'Content-Type': 'application/json',
-                    'Authorization': `Bearer ${apiKey}`
-                };
-                // Use gpt-3.5-turbo as fallback if gpt-4 isn't available
-                const openaiModel = model === 'gpt-4' ? 'gpt-3.5-turbo' : model;
-                body = {
-                    model: openaiModel,
-                    messages: cleanedMessages,
-                    tools: tools,
-                    tool_choice: 'auto',
-                    max_tokens: 1000
-                };
-                break;
-            case 'anthropic':
-                apiUrl = 'https://api.anthropic.com/v1/messages';
-                headers = {
-                    'Content-Type': 'application/json',
-                    'x-api-key': apiKey,
-                    'anthropic-version': '2023-06-01'
-                };
-                // Convert messages format for Anthropic
-                const systemMessage = cleanedMessages.find(m => m.role === 'system');
-                const userMessages = cleanedMessages.filter(m => m.role !== 'system');
-                body = {
-                    model: model,
-                    max_tokens: 1024,
-                    system: systemMessage?.content || '',
-                    messages: userMessages,
-                    tools: tools
-                };
-                break;
-            case 'google':
-                // Use Google Gemini API via AI Pipe or direct
-                if (apiKey.startsWith('aip_')) {
-                    // Use AI Pipe for Gemini
-                    apiUrl = 'https://aipipe.org/geminiv1beta/models/gemini-1.5-flash:generateContent';
-                    headers = {
-                        'Content-Type': 'application/json',
-                        'Authorization': `Bearer ${apiKey}`
-                    };
-                    body = {
-                        contents: cleanedMessages.map(msg => ({
-                            parts: [{ text: msg.content }]
-                        }))
-                    };
-                } else {
-                    // Direct Google API
-                    apiUrl = `https://generativelanguage.googleapis.com/v1beta/models/${model}:generateContent?key=${apiKey}`;
-                    headers = {
-                        'Content-Type': 'application/json'
-                    };
-                    const contents = cleanedMessages.map(msg => ({
-                        role: msg.role === 'assistant' ? 'model' : 'user',
-                        parts: [{ text: msg.content }]
-                    }));
-                    body = {
-                        contents: contents,
-                        tools: tools.length > 0 ? [{ function_declarations: tools.map(t => t.function) }] : undefined
-                    };
-                }
-                break;
-            default:
-                throw new Error(`Unsupported provider: ${provider}`);
-        }
+    get isProcessing() {
+        return this.core.isProcessing;
+    }
 
-        try {
-            console.log(`Making ${provider} API call to:`, apiUrl);
-            console.log(`${provider} request body:`, JSON.stringify(body, null, 2));
-            const response = await fetch(apiUrl, {
-                method: 'POST',
-                headers: headers,
-                body: JSON.stringify(body)
-            });
+    readConfig() {
+        // Collect the settings the core needs from the config card
+        const value = (id) => document.getElementById(id)?.value || '';
+        const milliseconds = (id) => (parseFloat(value(id)) * 1000) || undefined;
+        const streamElement = document.getElementById('streamResponses');
+        const simulateElement = document.getElementById('simulateOnFailure');
+        const strictElement = document.getElementById('strictMode');
+        const systemPromptElement = document.getElementById('systemPrompt');
 
-            console.log(`${provider} response status:`, response.status, response.statusText);
+        return {
+            provider: value('modelProvider') || 'auto',
+            model: value('modelName').trim(),
+            maxSteps: value('maxSteps'),
+            stream: streamElement ? streamElement.checked : true,
+            requestTimeoutMs: milliseconds('requestTimeout'),
+            toolTimeoutMs: milliseconds('toolTimeout'),
+            retries: value('llmRetries'),
+            failover: value('failoverChain').split('\n').map(line => line.trim()).filter(Boolean),
+            simulateOnFailure: simulateElement ? simulateElement.checked : false,
+            strict: strictElement ? strictElement.checked : false,
+            contextLimit: value('contextLimit'),
+            maxOutputTokens: value('maxOutputTokens'),
+            prices: this.readPriceTable(),
+            budgetMaxTokens: value('budgetMaxTokens'),
+            budgetMaxCost: value('budgetMaxCost'),
+            budgetMaxToolCalls: value('budgetMaxToolCalls'),
+            toolPolicies: { ...this.toolPolicies },
+            systemPrompt: systemPromptElement ? systemPromptElement.value : undefined,
+            proxyUrl: value('proxyUrl').trim(),
+            proxyProviders: this.proxyInfo ? [...this.proxyInfo.providers] : [],
+            proxySearch: Boolean(this.proxyInfo?.search),
+            aipipeApiKey: value('aipipeApiKey'),
+            openaiApiKey: value('openaiApiKey'),
+            anthropicApiKey: value('anthropicApiKey'),
+            googleApiKey: value('googleApiKey'),
+            googleSearchEngineId: value('googleSearchEngineId'),
+            customBaseUrl: value('customBaseUrl'),
+            customApiKey: value('customApiKey'),
+            aipipeWorkflowEndpoint: value('aipipeWorkflowEndpoint'),
+            aipipeWorkflowMode: value('aipipeWorkflowMode') || 'live'
+        };
+    }
 
-            if (!response.ok) {
-                let errorMessage = `HTTP ${response.status}: ${response.statusText}`;
-                
-                try {
-                    const errorData = await response.json();
-                    console.log(`${provider} error data:`, errorData);
-                    
-                    // Log full error details for debugging
-                    if (errorData.error && errorData.error.metadata) {
-                        console.log(`${provider} error metadata:`, errorData.error.metadata);
-                    }
-                    
-                    errorMessage = errorData.error?.message || errorMessage;
-                    
-                    // Handle specific errors
-                    if (response.status === 404) {
-                        if (provider === 'aipipe') {
-                            errorMessage = `AI Pipe endpoint not found. Check API endpoint or try simulation mode.`;
-                        } else if (provider === 'openai') {
-                            errorMessage = `Model "${model}" not available. Try "gpt-3.5-turbo" instead.`;
-                        }
-                    } else if (response.status === 400 && provider === 'aipipe') {
-                        errorMessage = `AI Pipe request error: ${errorData.error?.message || 'Invalid request format'}`;
-                        if (errorData.error?.metadata) {
-                            errorMessage += ` (Details: ${JSON.stringify(errorData.error.metadata)})`;
-                        }
-                    } else if (response.status === 429) {
-                        errorMessage = 'API quota exceeded. Check your billing or try again later.';
-                    } else if (response.status === 401) {
-                        errorMessage = 'Invalid API key. Please check your credentials.';
-                    }
-                } catch (e) {
-                    // Error response is not JSON
-                    console.log(`${provider} error response not JSON:`, e);
-                }
-                
-                throw new Error(errorMessage);
+    bindCoreEvents() {
+        // Render streamed text into a single agent bubble as it arrives
+        let streamingMessage = null;
+        const endStreaming = () => {
+            // A failed or stopped run leaves no message event; keep any
+            // partial text on screen but start the next run in a new bubble
+            if (streamingMessage && !streamingMessage.querySelector('.message-content').textContent.trim()) {
+                streamingMessage.remove();
             }
+            streamingMessage = null;
+        };
 
-            const responseText = await response.text();
-            console.log(`${provider} raw response:`, responseText.substring(0, 200) + '...');
-            
-            let data;
-            try {
-                data = JSON.parse(responseText);
-            } catch (e) {
-                console.error(`${provider} response parsing error:`, e);
-                console.error('Response was:', responseText.substring(0, 500));
-                throw new Error(`Invalid JSON response from ${provider}: ${e.message}`);
+        this.core.on('token', ({ text }) => {
+            if (!streamingMessage) {
+                streamingMessage = this.addMessage('agent', '');
             }
-            
-            // Handle different response formats
-            let output, toolCalls;
-            switch (provider) {
-                case 'aipipe':
-                    // AI Pipe returns OpenAI-compatible format
-                    const aipipeChoice = data.choices?.[0];
-                    if (!aipipeChoice) {
-                        throw new Error('No response choices returned from AI Pipe');
-                    }
-                    output = aipipeChoice.message?.content || '';
-                    toolCalls = aipipeChoice.message?.tool_calls || [];
-                    break;
-                case 'anthropic':
-                    output = data.content?.[0]?.text || '';
-                    toolCalls = data.tool_calls || [];
-                    break;
-                case 'google':
-                    if (apiKey.startsWith('aip_')) {
-                        // AI Pipe Gemini response
-                        output = data.response || data.content || '';
-                        toolCalls = data.tool_calls || [];
+            this.updateMessage(streamingMessage, text, 'agent');
+        });
+
+        this.core.on('message', ({ message }) => {
+            if (message.role === 'user') {
+                this.addMessage('user', message.content);
+            } else if (message.role === 'assistant') {
+                const output = message.content;
+                if (output && output.trim()) {
+                    if (streamingMessage) {
+                        this.updateMessage(streamingMessage, output, 'agent');
                     } else {
-                        // Direct Google API response
-                        output = data.candidates?.[0]?.content?.parts?.[0]?.text || '';
-                        toolCalls = data.candidates?.[0]?.content?.parts?.filter(p => p.functionCall) || [];
-                    }
-                    break;
-                default: // OpenAI format
-                    const choice = data.choices?.[0];
-                    if (!choice) {
-                        throw new Error('No response choices returned from API');
+                        this.addMessage('agent', output, null, { simulated: message.simulated });
                     }
-                    output = choice.message?.content || '';
-                    toolCalls = choice.message?.tool_calls || [];
-            }
-            
-            return { output, toolCalls };
-        } catch (error) {
-            // Enhanced error handling with specific suggestions
-            let fallbackMessage = `${provider.toUpperCase()} API failed: ${error.message}`;
-            
-            if (error.message.includes('Failed to fetch')) {
-                fallbackMessage += ` (Network issue - check internet connection)`;
-            } else if (error.message.includes('quota')) {
-                fallbackMessage += ` (Add billing information to your account)`;
-            } else if (error.message.includes('not exist')) {
-                fallbackMessage += ` (Try a different model like gpt-3.5-turbo)`;
+                } else if (streamingMessage) {
+                    streamingMessage.remove();
+                }
+                streamingMessage = null;
             }
-            
-            console.error('API Error Details:', {
-                provider: provider,
-                error: error.message,
-                stack: error.stack,
-                apiUrl: apiUrl
-            });
-            
-            console.warn(fallbackMessage);
-            this.showWarning(fallbackMessage + '. Using enhanced simulation mode.');
-            
-            // Use original messages for simulation, not cleaned ones
-            const simulationResult = await this.simulateLLMCall(messages, tools);
-            console.log('Simulation result:', simulationResult);
-            return simulationResult;
-        }
-    }
-
-    getProviderFromModel(model) {
-        if (model.includes('gpt')) return 'openai';
-        if (model.includes('claude')) return 'anthropic';
-        if (model.includes('gemini')) return 'google';
-        return 'openai'; // default
-    }
-
-    mapModelForAIPipe(model) {
-        // Map our model names to OpenRouter compatible names via AI Pipe
-        const modelMap = {
-            'gpt-4': 'openai/gpt-4',
-            'gpt-3.5-turbo': 'openai/gpt-3.5-turbo',
-            'claude-3-opus': 'anthropic/claude-3-opus',
-            'claude-3-sonnet': 'anthropic/claude-3-sonnet',
-            'gemini-pro': 'google/gemini-pro'
-        };
-        return modelMap[model] || 'openai/gpt-3.5-turbo';
-    }
+            this.updateCassetteStatus();
+            this.persistSession();
+        });
 
-    formatMessagesForAIPipe(messages) {
-        // AI Pipe expects input as string based on the documentation
-        const lastUserMessage = messages.filter(msg => msg.role === 'user').pop();
-        return lastUserMessage?.content || '';
-    }
+        this.core.on('tool-call', ({ toolCall, simulated }) => {
+            this.addMessage('tool-call', this.formatToolCall(toolCall), null, { simulated });
+        });
 
-    async simulateLLMCall(messages, tools) {
-        // Simulate LLM processing delay
-        await new Promise(resolve => setTimeout(resolve, 1000));
+        this.core.on('tool-result', ({ toolCall, result, simulated }) => {
+            // Format tool result for display
+            const displayResult = this.tools.formatResult(toolCall.function.name, result);
+            this.addMessage('tool-result', `✅ ${displayResult}`, null, { simulated });
+        });
 
-        const lastMessage = messages[messages.length - 1];
-        const userContent = lastMessage?.content || '';
+        this.core.on('context', (usage) => this.updateContextUsage(usage));
+        this.core.on('usage', ({ usage }) => {
+            this.recordDailyUsage(usage);
+            this.updateUsageSummary();
+        });
+        this.core.on('status', ({ status }) => {
+            if (status === 'Ready') endStreaming();
+            this.updateStatus(status);
+        });
+        this.core.on('warning', ({ message }) => this.showWarning(message));
+        this.core.on('error', ({ message }) => {
+            endStreaming();
+            this.showError(message);
+        });
+    }
 
-        // Check if this is a tool result message - provide final response
-        if (lastMessage?.role === 'tool') {
-            try {
-                const toolResult = JSON.parse(userContent);
-                
-                // Handle Google search results
-                if (toolResult.query && toolResult.results) {
-                    const formattedResults = toolResult.results.slice(0, 3).map((result, index) => 
-                        `${index + 1}. **${result.title}**\n   ${result.snippet}\n   [${result.url}](${result.url})`
-                    ).join('\n\n');
-                    
-                    return {
-                        output: `Here are the search results for "${toolResult.query}":\n\n${formattedResults}\n\nThese results show the latest information about your search. Is there anything specific you'd like me to help you with from these results?`,
-                        toolCalls: []
-                    };
-                }
-                
-                // Handle AI Pipe results
-                if (toolResult.workflow && toolResult.output) {
-                    return {
-                        output: `AI Pipe ${toolResult.workflow} completed:\n\n${toolResult.output}\n\nThe analysis is complete. Is there anything else you'd like me to process or analyze?`,
-                        toolCalls: []
-                    };
-                }
-                
-                // Handle JavaScript execution results
-                if (toolResult.code !== undefined) {
-                    const status = toolResult.success ? '✅ Success' : '❌ Error';
-                    const output = toolResult.output || '';
-                    const error = toolResult.error ? `Error: ${toolResult.error}` : '';
-                    
-                    return {
-                        output: `Code execution ${status}:\n\nCode:\n\`\`\`javascript\n${toolResult.code}\n\`\`\`\n\nOutput:\n\`\`\`\n${output}\n${error}\n\`\`\`\n\nThe code has been executed. Would you like to run more code or try something else?`,
-                        toolCalls: []
-                    };
-                }
-            } catch (e) {
-                // If JSON parsing fails, treat as regular content
+    setCassetteMode(mode) {
+        if (this.isProcessing) {
+            this.showWarning('Wait for the agent to finish before changing the cassette mode.');
+            this.updateCassetteStatus();
+            return;
+        }
+
+        if (mode === 'record') {
+            this.core.cassette = new Cassette();
+            this.showSuccess('Recording: every LLM and tool call will be captured until you save the cassette.');
+        } else if (mode === 'replay') {
+            if (!this.core.cassette || this.core.cassette.interactions.length === 0) {
+                this.showError('Load a cassette before switching to replay.');
+                this.updateCassetteStatus();
+                return;
             }
+            this.core.cassette.rewind();
         }
 
-        // Find the last user message for context
-        const lastUserMessage = messages.filter(msg => msg.role === 'user').pop();
-        const lastUserContent = lastUserMessage?.content || '';
-        
-        // Check if we recently had tool results - avoid re-triggering tools
-        const recentToolResults = messages.slice(-3).some(msg => msg.role === 'tool');
-        const hasRecentSearch = messages.slice(-5).some(msg => 
-            msg.role === 'tool' && msg.content && msg.content.includes('"query"')
-        );
-        
-        // Get conversation history for better context
-        const conversationHistory = messages.filter(msg => msg.role === 'user' || msg.role === 'assistant')
-            .slice(-4) // Last 4 messages for context
-            .map(msg => `${msg.role}: ${msg.content}`)
-            .join('\n');
+        this.core.cassetteMode = mode;
+        this.updateCassetteStatus();
+    }
 
-        // Enhanced conversational AI simulation
-        
-        // Interview/Assessment requests
-        if (lastUserContent.toLowerCase().includes('interview') && 
-            (lastUserContent.toLowerCase().includes('javascript') || 
-             lastUserContent.toLowerCase().includes('js') ||
-             lastUserContent.toLowerCase().includes('web development') || 
-             lastUserContent.toLowerCase().includes('development skills') ||
-             lastUserContent.toLowerCase().includes('programming'))) {
-            return {
-                output: `I'd be happy to conduct a JavaScript interview with you! Let's start with some fundamental questions:\n\n**Question 1:** Can you explain the difference between \`let\`, \`const\`, and \`var\` in JavaScript?\n\n**Question 2:** What is hoisting in JavaScript? Can you give an example?\n\n**Question 3:** Explain what a closure is in JavaScript and provide a simple example.\n\nPlease answer these questions one by one, and I'll provide follow-up questions based on your responses. Let's start with Question 1 about variable declarations.`,
-                toolCalls: []
-            };
+    saveCassette() {
+        const cassette = this.core.cassette;
+        if (!cassette || cassette.interactions.length === 0) {
+            this.showWarning('Nothing recorded yet - switch to Record and run a conversation first.');
+            return;
         }
+        const date = new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
+        downloadFile(`cassette-${date}.json`, JSON.stringify(cassette, null, 2), 'application/json');
+    }
 
-        // Check if this is a response to an interview question
-        if (conversationHistory.includes('interview') && conversationHistory.includes('javascript')) {
-            // This appears to be part of an ongoing interview
-            if (lastUserContent.toLowerCase().includes('yes') && lastUserContent.length < 10) {
-                return {
-                    output: `Perfect! Let's begin the JavaScript interview.\n\n**Question 1:** What are the different data types in JavaScript? Please list the primitive types and explain the difference between primitive and non-primitive types.\n\n**Question 2:** Can you explain what "hoisting" means in JavaScript? Give an example of how it works with variables and functions.\n\nPlease start with Question 1 - I'm looking for a comprehensive answer about JavaScript data types.`,
-                    toolCalls: []
-                };
-            }
-            
-            // If they provided a substantial answer, ask a follow-up question
-            if (lastUserContent.length > 20) {
-                return {
-                    output: `Great answer! I can see you understand JavaScript fundamentals. Let me ask you a follow-up question:\n\n**Next Question:** Can you explain the concept of "this" in JavaScript? How does the value of "this" change in different contexts (global scope, function calls, arrow functions, event handlers)?\n\nAlso, could you write a simple example demonstrating how "this" behaves differently in a regular function vs an arrow function?`,
-                    toolCalls: []
-                };
-            }
+    async loadCassette(file) {
+        if (!file) return;
+        try {
+            this.core.cassette = Cassette.parse(await file.text());
+            this.setCassetteMode('replay');
+            this.showSuccess(`Cassette loaded: ${this.core.cassette.interactions.length} interactions will be replayed without network calls.`);
+        } catch (error) {
+            this.showError(`Could not load cassette: ${error.message}`);
         }
+    }
 
-        // Search requests - but avoid re-triggering if we just had search results
-        if (!hasRecentSearch && !recentToolResults && 
-            (lastUserContent.toLowerCase().includes('search for') || 
-            lastUserContent.toLowerCase().includes('google for') ||
-            lastUserContent.toLowerCase().includes('find information about') ||
-            lastUserContent.toLowerCase().includes('look up'))) {
-            const searchQuery = lastUserContent.replace(/search for|google for|find information about|look up|search|google|find|look|about|for/gi, '').trim();
-            
-            // Avoid empty searches
-            if (searchQuery.length < 3) {
-                return {
-                    output: `I'd be happy to search for you! Please provide a more specific search term. For example: "Search for React best practices" or "Find information about JavaScript frameworks".`,
-                    toolCalls: []
-                };
-            }
-            
-            return {
-                output: `I'll search for information about "${searchQuery}".`,
-                toolCalls: [{
-                    id: 'call_' + Date.now(),
-                    type: 'function',
-                    function: {
-                        name: 'google_search',
-                        arguments: JSON.stringify({ query: searchQuery })
-                    }
-                }]
-            };
-        }
+    updateCassetteStatus() {
+        const { cassette, cassetteMode } = this.core;
+        const modeSelect = document.getElementById('cassetteMode');
+        if (modeSelect) modeSelect.value = cassetteMode;
+        if (!this.cassetteStatus) return;
 
-        // Code execution requests
-        if (lastUserContent.toLowerCase().includes('code') || 
-            lastUserContent.toLowerCase().includes('javascript') ||
-            lastUserContent.toLowerCase().includes('run') ||
-            lastUserContent.toLowerCase().includes('execute')) {
-            const codeMatch = lastUserContent.match(/```javascript\n([\s\S]*?)\n```/) || 
-                             lastUserContent.match(/```\n([\s\S]*?)\n```/) ||
-                             lastUserContent.match(/`([^`]+)`/);
-            const code = codeMatch ? codeMatch[1] : 'console.log("Hello, World!");';
-            
-            return {
-                output: `I'll execute this JavaScript code for you.`,
-                toolCalls: [{
-                    id: 'call_' + Date.now(),
-                    type: 'function',
-                    function: {
-                        name: 'execute_javascript',
-                        arguments: JSON.stringify({ code: code })
-                    }
-                }]
-            };
+        const count = cassette ? cassette.interactions.length : 0;
+        if (cassetteMode === 'record') {
+            this.cassetteStatus.textContent = `● Recording - ${count} interactions`;
+        } else if (cassetteMode === 'replay') {
+            this.cassetteStatus.textContent = `▶ Replaying - ${cassette.position} of ${count} used`;
+        } else {
+            this.cassetteStatus.textContent = count ? `${count} interactions ready to save` : '';
         }
+    }
 
-        // AI processing requests
-        if (lastUserContent.toLowerCase().includes('analyze') || 
-            lastUserContent.toLowerCase().includes('summarize') || 
-            lastUserContent.toLowerCase().includes('process') ||
-            lastUserContent.toLowerCase().includes('workflow')) {
-            const workflow = lastUserContent.toLowerCase().includes('summarize') ? 'summarize' : 'analyze';
-            return {
-                output: `I'll use AI Pipe to ${workflow} this content.`,
-                toolCalls: [{
-                    id: 'call_' + Date.now(),
-                    type: 'function',
-                    function: {
-                        name: 'aipipe_workflow',
-                        arguments: JSON.stringify({ 
-                            workflow: workflow, 
-                            data: lastUserContent,
-                            pipeline: 'default'
-                        })
-                    }
-                }]
-            };
+    getSelectedModel() {
+        const modelInput = document.getElementById('modelName');
+        return modelInput ? modelInput.value.trim() : '';
+    }
+
+    setSelectedModel(model) {
+        // Free text, so any model - including local ones - can be restored
+        const modelInput = document.getElementById('modelName');
+        if (modelInput && model) modelInput.value = model;
+    }
+
+    getSelectedProvider() {
+        const select = document.getElementById('modelProvider');
+        return select ? select.value : 'auto';
+    }
+
+    setSelectedProvider(provider) {
+        // Ignores values the select does not offer, e.g. from an old export
+        const select = document.getElementById('modelProvider');
+        if (!select || !provider || ![...select.options].some(option => option.value === provider)) return false;
+        select.value = provider;
+        const settings = document.getElementById('customProviderSettings');
+        if (settings) settings.classList.toggle('custom-provider-active', provider === 'custom');
+        return true;
+    }
+
+    selectProvider(provider) {
+        // Honoured by the core for the primary model; the custom endpoint
+        // fields are highlighted when they are needed
+        this.setSelectedProvider(provider);
+        localStorage.setItem('llmAgentProvider', provider);
+        this.core.updateConfig(this.readConfig());
+        if (provider === 'custom' && !document.getElementById('customBaseUrl').value) {
+            this.showWarning('Set the Custom Endpoint Base URL (e.g. http://localhost:11434/v1) and type the model name your server serves.');
         }
+    }
 
-        // Conversational responses based on context and keywords
-        
-        // Technical questions
-        if (lastUserContent.toLowerCase().includes('explain') || 
-            lastUserContent.toLowerCase().includes('what is') ||
-            lastUserContent.toLowerCase().includes('how does') ||
-            lastUserContent.toLowerCase().includes('difference between')) {
-            return {
-                output: `That's a great question! To give you the most accurate and up-to-date information, let me search for that: "${lastUserContent}". This will help me provide you with comprehensive details.`,
-                toolCalls: [{
-                    id: 'call_' + Date.now(),
-                    type: 'function',
-                    function: {
-                        name: 'google_search',
-                        arguments: JSON.stringify({ query: lastUserContent })
-                    }
-                }]
-            };
+    loadSavedScenario() {
+        const saved = localStorage.getItem('simulationScenario');
+        if (saved) {
+            try {
+                return ScenarioSimulator.parse(saved);
+            } catch (error) {
+                console.warn('Ignoring saved simulation scenario:', error.message);
+                localStorage.removeItem('simulationScenario');
+            }
         }
+        return new ScenarioSimulator(DEFAULT_SCENARIO);
+    }
 
-        // Help requests
-        if (lastUserContent.toLowerCase().includes('help') || 
-            lastUserContent.toLowerCase().includes('what can you do') ||
-            lastUserContent.toLowerCase().includes('capabilities')) {
-            return {
-                output: `I'm here to help! I can assist you with:\n\n🔍 **Search & Research**: I can search Google for any information you need\n\n🤖 **AI Analysis**: I can analyze, summarize, or process text using AI workflows\n\n💻 **Code Execution**: I can run JavaScript code and show you the results\n\n🎓 **Learning & Interviews**: I can conduct technical interviews, explain concepts, or help with learning\n\n📊 **Data Processing**: I can help transform, extract, or classify data\n\nWhat would you like to explore? Just ask me naturally, like:\n- "Search for the latest React.js trends"\n- "Analyze this code snippet"\n- "Interview me on Python basics"\n- "Explain how async/await works"`,
-                toolCalls: []
-            };
+    async loadScenario(file) {
+        if (!file) return;
+        try {
+            const text = await file.text();
+            this.core.simulator = ScenarioSimulator.parse(text);
+            localStorage.setItem('simulationScenario', text);
+            this.updateScenarioStatus();
+            this.showSuccess(`Simulation scenario "${this.core.simulator.name}" loaded with ${this.core.simulator.scenario.rules.length} rules.`);
+        } catch (error) {
+            this.showError(`Could not load scenario: ${error.message}`);
         }
+    }
 
-        // Default intelligent response
-        const isInterviewContext = conversationHistory.includes('interview') || conversationHistory.includes('Question');
-        
-        if (isInterviewContext && lastUserContent.length > 10) {
-            // If we're in an interview context and user gave a substantial answer
-            return {
-                output: `Thank you for your response! Based on your answer, I can see you have a good understanding of JavaScript concepts.\n\n**Follow-up Question:** Can you explain the difference between synchronous and asynchronous programming in JavaScript? How do you handle asynchronous operations using callbacks, promises, and async/await?\n\nPlease provide examples if possible.`,
-                toolCalls: []
-            };
+    resetScenario() {
+        localStorage.removeItem('simulationScenario');
+        this.core.simulator = new ScenarioSimulator(DEFAULT_SCENARIO);
+        this.updateScenarioStatus();
+        this.showSuccess('Simulation reset to the built-in demo scenario.');
+    }
+
+    updateScenarioStatus() {
+        const status = document.getElementById('scenarioStatus');
+        if (status) {
+            const { simulator } = this.core;
+            status.textContent = `${simulator.name} (${simulator.scenario.rules.length} rules)`;
         }
-        
-        return {
-            output: `I understand you're asking about "${lastUserContent}". I'm an AI agent that can help you with various tasks.\n\nBased on your question, I can:\n• **Search** for more information about this topic\n• **Analyze** the content in detail\n• **Help** you explore this further\n\nWould you like me to search for more information about "${lastUserContent}", or is there something specific you'd like me to help you with?`,
-            toolCalls: []
-        };
     }
 
-    addMessage(type, content) {
+    addMessage(type, content, timestamp = null, { simulated = false } = {}) {
         const messageDiv = document.createElement('div');
-        messageDiv.className = `conversation-message ${type}-message`;
+        messageDiv.className = `conversation-message ${type}-message${simulated ? ' simulated-message' : ''}`;
         
         let badge = '';
         switch (type) {
@@ -668,38 +357,409 @@ class LLMAgent {
                 break;
         }
 
+        // Simulated replies and results stay labelled, not just alerted
+        if (simulated) {
+            badge += '<span class="badge bg-dark tool-badge simulated-badge" title="Produced by the simulation, not a real model or API">Simulated</span>';
+        }
+
         messageDiv.innerHTML = `
             ${badge}
-            <div>${this.formatContent(content, type)}</div>
-            <div class="message-timestamp">${new Date().toLocaleTimeString()}</div>
+            <div class="message-content">${this.formatContent(content, type)}</div>
+            <div class="message-timestamp">${(timestamp ? new Date(timestamp) : new Date()).toLocaleTimeString()}</div>
         `;
 
+        this.highlightCode(messageDiv);
         this.conversationWindow.appendChild(messageDiv);
         this.conversationWindow.scrollTop = this.conversationWindow.scrollHeight;
+        return messageDiv;
+    }
+
+    formatToolCall(toolCall) {
+        return `🔧 ${toolCall.function.name}(${JSON.stringify(toolCall.function.arguments)})`;
+    }
+
+    updateMessage(messageDiv, content, type) {
+        // Replace the content of an existing message, e.g. while streaming
+        const contentDiv = messageDiv.querySelector('.message-content');
+        contentDiv.innerHTML = this.formatContent(content, type);
+        this.highlightCode(contentDiv);
+        this.conversationWindow.scrollTop = this.conversationWindow.scrollHeight;
     }
 
     formatContent(content, type) {
-        if (type === 'tool-call' || type === 'tool-result') {
+        if (type === 'tool-call') {
             return `<pre><code>${this.escapeHtml(content)}</code></pre>`;
         }
+        if (type === 'agent' || type === 'tool-result') {
+            // Model and tool output is untrusted; renderMarkdown escapes it
+            return renderMarkdown(content);
+        }
         return this.escapeHtml(content).replace(/\n/g, '<br>');
     }
 
+    highlightCode(element) {
+        // highlight.js is loaded from a CDN; without it code stays plain
+        if (!window.hljs) return;
+        for (const block of element.querySelectorAll('.code-block code')) {
+            const language = (block.className.match(/language-([\w+#.-]+)/) || [])[1];
+            if (!language || hljs.getLanguage(language)) {
+                hljs.highlightElement(block);
+            }
+        }
+    }
+
+    async copyCode(button) {
+        const code = button.closest('.code-block')?.querySelector('code');
+        if (!code) return;
+        try {
+            await navigator.clipboard.writeText(code.textContent);
+            button.textContent = 'Copied!';
+            setTimeout(() => { button.textContent = 'Copy'; }, 1500);
+        } catch (error) {
+            this.showWarning(`Could not copy to the clipboard: ${error.message}`);
+        }
+    }
+
     escapeHtml(text) {
         const div = document.createElement('div');
         div.textContent = text;
         return div.innerHTML;
     }
 
+    renderToolToggles() {
+        if (!this.toolToggles) return;
+
+        this.toolToggles.innerHTML = '';
+        for (const tool of this.tools.list()) {
+            const id = `toolToggle-${tool.name}`;
+            const wrapper = document.createElement('div');
+            wrapper.className = 'form-check form-switch';
+            wrapper.title = tool.description;
+            wrapper.innerHTML = `
+                <input class="form-check-input" type="checkbox" id="${this.escapeHtml(id)}" ${tool.enabled ? 'checked' : ''}>
+                <label class="form-check-label" for="${this.escapeHtml(id)}"><code>${this.escapeHtml(tool.name)}</code></label>
+                <select class="form-select form-select-sm d-inline-block w-auto ms-1 tool-policy" title="When the model calls this tool">
+                    <option value="allow">Always allow</option>
+                    <option value="ask">Ask every time</option>
+                    <option value="deny">Deny</option>
+                </select>
+            `;
+            wrapper.querySelector('input').addEventListener('change', (event) => {
+                this.tools.setEnabled(tool.name, event.target.checked);
+            });
+            const policySelect = wrapper.querySelector('select');
+            policySelect.value = this.toolPolicies[tool.name] || 'allow';
+            policySelect.addEventListener('change', (event) => {
+                this.setToolPolicy(tool.name, event.target.value);
+            });
+            this.toolToggles.appendChild(wrapper);
+        }
+    }
+
+    loadToolPolicies() {
+        try {
+            const saved = JSON.parse(localStorage.getItem('llmAgentToolPolicies'));
+            if (saved && typeof saved === 'object') return saved;
+        } catch (error) {
+            console.warn('Ignoring saved tool policies:', error.message);
+        }
+        return { ...DEFAULT_TOOL_POLICIES };
+    }
+
+    setToolPolicy(name, policy) {
+        this.toolPolicies[name] = policy;
+        localStorage.setItem('llmAgentToolPolicies', JSON.stringify(this.toolPolicies));
+        this.core.updateConfig({ toolPolicies: { ...this.toolPolicies } });
+    }
+
+    requestToolApproval(toolCall, { signal } = {}) {
+        // Approval card for tools with the 'ask' policy; resolves with
+        // { approved, arguments?, reason? } for AgentCore
+        const name = toolCall.function.name;
+        let prettyArguments = toolCall.function.arguments || '{}';
+        try {
+            prettyArguments = JSON.stringify(JSON.parse(prettyArguments), null, 2);
+        } catch (error) {
+            // Show arguments as sent when they are not valid JSON
+        }
+
+        const card = document.createElement('div');
+        card.className = 'conversation-message approval-message';
+        card.innerHTML = `
+            <span class="badge bg-danger tool-badge">Approval Needed</span>
+            <div class="message-content">
+                <div class="mb-2">The agent wants to run <code>${this.escapeHtml(name)}</code> with these arguments:</div>
+                <pre class="approval-arguments"><code>${this.escapeHtml(prettyArguments)}</code></pre>
+                <textarea class="form-control font-monospace mb-2 d-none approval-editor" rows="6"></textarea>
+                <div class="text-danger small mb-2 approval-error"></div>
+                <div class="approval-actions">
+                    <button type="button" class="btn btn-sm btn-success" data-action="approve">Approve</button>
+                    <button type="button" class="btn btn-sm btn-outline-secondary" data-action="edit">Edit Arguments</button>
+                    <button type="button" class="btn btn-sm btn-outline-danger" data-action="reject">Reject</button>
+                </div>
+            </div>
+        `;
+        const editor = card.querySelector('.approval-editor');
+        const errorText = card.querySelector('.approval-error');
+        editor.value = prettyArguments;
+
+        this.conversationWindow.appendChild(card);
+        this.conversationWindow.scrollTop = this.conversationWindow.scrollHeight;
+        this.updateStatus(`Waiting for approval: ${name}`);
+
+        return new Promise((resolve) => {
+            const settle = (decision, label, badgeClass) => {
+                signal?.removeEventListener('abort', onAbort);
+                card.querySelector('.approval-actions').remove();
+                editor.classList.add('d-none');
+                errorText.textContent = '';
+                card.querySelector('.badge').outerHTML = `<span class="badge ${badgeClass} tool-badge">${label}</span>`;
+                resolve(decision);
+            };
+            const onAbort = () => settle({ approved: false, reason: 'stopped' }, 'Stopped', 'bg-secondary');
+            signal?.addEventListener('abort', onAbort, { once: true });
+
+            card.querySelector('.approval-actions').addEventListener('click', (event) => {
+                const action = event.target.dataset?.action;
+                if (action === 'edit') {
+                    editor.classList.toggle('d-none');
+                    editor.focus();
+                } else if (action === 'reject') {
+                    settle({ approved: false }, 'Rejected', 'bg-secondary');
+                } else if (action === 'approve') {
+                    if (editor.classList.contains('d-none')) {
+                        settle({ approved: true }, 'Approved', 'bg-success');
+                        return;
+                    }
+                    // Edited arguments must still be a JSON object
+                    let edited;
+                    try {
+                        edited = JSON.parse(editor.value);
+                    } catch (error) {
+                        errorText.textContent = `Arguments are not valid JSON: ${error.message}`;
+                        return;
+                    }
+                    if (!edited || typeof edited !== 'object' || Array.isArray(edited)) {
+                        errorText.textContent = 'Arguments must be a JSON object.';
+                        return;
+                    }
+                    card.querySelector('.approval-arguments code').textContent = JSON.stringify(edited, null, 2);
+                    settle({ approved: true, arguments: JSON.stringify(edited) }, 'Approved (edited)', 'bg-success');
+                }
+            });
+        });
+    }
+
+    loadSystemPrompt() {
+        // Saved prompt, or the default one on first visit
+        const input = document.getElementById('systemPrompt');
+        if (!input) return;
+        const saved = localStorage.getItem('llmAgentSystemPrompt');
+        input.value = saved !== null ? saved : DEFAULT_SYSTEM_PROMPT;
+    }
+
+    saveSystemPrompt() {
+        const text = document.getElementById('systemPrompt').value;
+        localStorage.setItem('llmAgentSystemPrompt', text);
+        this.core.updateConfig({ systemPrompt: text });
+    }
+
+    loadCustomPersonas() {
+        // Invalid entries are dropped rather than breaking the page
+        try {
+            const saved = JSON.parse(localStorage.getItem('llmAgentPersonas')) || [];
+            return saved.flatMap(data => {
+                try {
+                    return [parsePersona(data)];
+                } catch (error) {
+                    console.warn('Ignoring saved persona:', error.message);
+                    return [];
+                }
+            });
+        } catch (error) {
+            console.warn('Ignoring saved personas:', error.message);
+            return [];
+        }
+    }
+
+    renderPersonaOptions() {
+        const select = document.getElementById('personaSelect');
+        if (!select) return;
+
+        const option = (persona) => `<option value="${this.escapeHtml(persona.id)}">${this.escapeHtml(persona.name)}</option>`;
+        select.innerHTML = BUILT_IN_PERSONAS.map(option).join('') +
+            (this.customPersonas.length > 0 ? `<optgroup label="Saved">${this.customPersonas.map(option).join('')}</optgroup>` : '');
+
+        const selected = localStorage.getItem('llmAgentPersona');
+        select.value = findPersona(selected, this.customPersonas) ? selected : BUILT_IN_PERSONAS[0].id;
+        const deleteButton = document.getElementById('deletePersonaButton');
+        if (deleteButton) deleteButton.disabled = !select.value.startsWith('custom-');
+    }
+
+    applyPersona(id) {
+        // Load the persona's prompt, tool set and model into the settings
+        const persona = findPersona(id, this.customPersonas);
+        if (!persona) return;
+
+        document.getElementById('systemPrompt').value = persona.systemPrompt;
+        if (persona.tools) {
+            for (const tool of this.tools.list()) {
+                this.tools.setEnabled(tool.name, persona.tools.includes(tool.name));
+            }
+        }
+        this.setSelectedModel(persona.model);
+
+        localStorage.setItem('llmAgentPersona', persona.id);
+        this.saveSystemPrompt();
+        this.renderPersonaOptions();
+        this.core.updateConfig(this.readConfig());
+        this.showSuccess(`Persona "${persona.name}" applied.`);
+    }
+
+    savePersona() {
+        // Snapshot the current prompt, enabled tools and model
+        const name = prompt('Persona name');
+        if (name === null) return;
+
+        let persona;
+        try {
+            persona = parsePersona({
+                name,
+                systemPrompt: document.getElementById('systemPrompt').value,
+                tools: this.tools.list().filter(tool => tool.enabled).map(tool => tool.name),
+                model: this.getSelectedModel()
+            });
+        } catch (error) {
+            this.showError(`Persona not saved: ${error.message}`);
+            return;
+        }
+
+        this.customPersonas = [...this.customPersonas.filter(saved => saved.id !== persona.id), persona];
+        localStorage.setItem('llmAgentPersonas', JSON.stringify(this.customPersonas));
+        localStorage.setItem('llmAgentPersona', persona.id);
+        this.renderPersonaOptions();
+        this.showSuccess(`Persona "${persona.name}" saved.`);
+    }
+
+    deletePersona() {
+        const select = document.getElementById('personaSelect');
+        const persona = this.customPersonas.find(saved => saved.id === select.value);
+        if (!persona || !confirm(`Delete the persona "${persona.name}"?`)) return;
+
+        this.customPersonas = this.customPersonas.filter(saved => saved.id !== persona.id);
+        localStorage.setItem('llmAgentPersonas', JSON.stringify(this.customPersonas));
+        localStorage.removeItem('llmAgentPersona');
+        this.renderPersonaOptions();
+    }
+
     updateStatus(status) {
         this.statusBadge.textContent = status;
         this.statusBadge.className = `badge ms-2 ${
             status === 'Ready' ? 'bg-success' :
             status === 'Error' ? 'bg-danger' :
+            status.startsWith('Stopped') ? 'bg-warning text-dark' :
             'bg-info'
         }`;
     }
 
+    updateContextUsage(usage) {
+        // Estimated tokens of the last request; null clears the indicator
+        if (!this.contextUsage) return;
+        if (!usage) {
+            this.contextUsage.textContent = 'Context: –';
+            this.contextUsage.className = 'badge bg-light text-dark ms-2';
+            return;
+        }
+
+        const shortCount = (count) => count >= 1000 ? `${(count / 1000).toFixed(1).replace(/\.0$/, '')}k` : String(count);
+        const percent = Math.round((usage.tokens / usage.limit) * 100);
+        let text = `Context: ~${shortCount(usage.tokens)} / ${shortCount(usage.limit)} tokens (${percent}%)`;
+        if (usage.dropped > 0) text += ` • ${usage.dropped} older message${usage.dropped === 1 ? '' : 's'} left out`;
+        if (usage.truncated > 0) text += ` • ${usage.truncated} tool result${usage.truncated === 1 ? '' : 's'} shortened`;
+
+        this.contextUsage.textContent = text;
+        this.contextUsage.className = `badge ms-2 ${
+            percent >= 90 ? 'bg-danger' :
+            percent >= 70 || usage.dropped > 0 || usage.truncated > 0 ? 'bg-warning text-dark' :
+            'bg-light text-dark'
+        }`;
+    }
+
+    readPriceTable() {
+        // { model: { input, output } }; invalid tables were rejected on save
+        const text = document.getElementById('modelPrices')?.value.trim();
+        if (!text) return {};
+        try {
+            return parsePriceTable(text);
+        } catch (error) {
+            console.warn('Ignoring price table:', error.message);
+            return {};
+        }
+    }
+
+    loadPriceTable() {
+        const saved = localStorage.getItem('llmAgentPrices');
+        const input = document.getElementById('modelPrices');
+        if (saved && input) input.value = saved;
+    }
+
+    savePriceTable() {
+        const text = document.getElementById('modelPrices').value.trim();
+        try {
+            if (text) parsePriceTable(text);
+        } catch (error) {
+            this.showError(`Price table not saved: ${error.message}`);
+            return;
+        }
+        if (text) {
+            localStorage.setItem('llmAgentPrices', text);
+        } else {
+            localStorage.removeItem('llmAgentPrices');
+        }
+        this.showSuccess('Price table saved.');
+    }
+
+    recordDailyUsage(usage) {
+        // Running totals per calendar day, kept for the last 30 days
+        const days = this.loadDailyUsage();
+        const today = new Date().toLocaleDateString('en-CA');
+        const totals = days[today] || { inputTokens: 0, outputTokens: 0, cost: 0, calls: 0 };
+        totals.inputTokens += usage.inputTokens || 0;
+        totals.outputTokens += usage.outputTokens || 0;
+        totals.cost += usage.cost || 0;
+        totals.calls++;
+        days[today] = totals;
+
+        const recent = Object.keys(days).sort().slice(-30);
+        localStorage.setItem('llmAgentUsageByDay', JSON.stringify(
+            Object.fromEntries(recent.map(day => [day, days[day]]))
+        ));
+    }
+
+    loadDailyUsage() {
+        try {
+            return JSON.parse(localStorage.getItem('llmAgentUsageByDay')) || {};
+        } catch (error) {
+            return {};
+        }
+    }
+
+    updateUsageSummary() {
+        if (!this.usageSummary) return;
+        const session = this.core.getSessionUsage();
+        const today = this.loadDailyUsage()[new Date().toLocaleDateString('en-CA')];
+
+        const sessionCost = session.unpricedCalls > 0 && session.cost === 0 ? 'n/a' : formatCost(session.cost);
+        let text = `Session: ${session.totalTokens.toLocaleString()} tokens • ${sessionCost} • ${session.toolCalls} tool call${session.toolCalls === 1 ? '' : 's'}`;
+        if (today) {
+            text += ` | Today: ${(today.inputTokens + today.outputTokens).toLocaleString()} tokens • ${formatCost(today.cost)}`;
+        }
+        this.usageSummary.textContent = text;
+        this.usageSummary.title = session.unpricedCalls > 0
+            ? `${session.unpricedCalls} call(s) reported no usage or used a model without a price; add missing models to the price table`
+            : '';
+    }
+
     showError(message) {
         const alertDiv = document.createElement('div');
         alertDiv.className = 'alert alert-danger alert-dismissible fade show';
@@ -751,32 +811,535 @@ class LLMAgent {
         }, 4000);
     }
 
+    async detectProxy() {
+        // When the page is served by server.js, use it without any setup
+        const input = document.getElementById('proxyUrl');
+        if (!input || input.value || !/^https?:$/.test(location.protocol)) return;
+        try {
+            const response = await fetch(`${location.origin}/api/proxy`, { headers: { 'X-LLM-Agent': '1' } });
+            if (!response.ok || !(response.headers.get('content-type') || '').includes('application/json')) return;
+            input.value = location.origin;
+            this.proxyInfo = await response.json();
+            this.showProxyStatus(this.proxyInfo);
+            this.core.updateConfig(this.readConfig());
+        } catch (error) {
+            // Served by a plain static server
+        }
+    }
+
+    async checkProxy() {
+        const proxyUrl = document.getElementById('proxyUrl').value.trim().replace(/\/+$/, '');
+        // Nothing goes through the proxy until it has said what it can serve
+        this.proxyInfo = null;
+        this.core.updateConfig(this.readConfig());
+        if (!proxyUrl) {
+            this.showProxyStatus(null);
+            return;
+        }
+        try {
+            const response = await fetch(`${proxyUrl}/api/proxy`, { headers: { 'X-LLM-Agent': '1' } });
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            this.proxyInfo = await response.json();
+            this.showProxyStatus(this.proxyInfo);
+            this.core.updateConfig(this.readConfig());
+        } catch (error) {
+            this.showError(`Proxy not reachable at ${proxyUrl}: ${error.message}. Is node server.js running, and is this page's origin in its allowedOrigins?`);
+        }
+    }
+
+    showProxyStatus(info) {
+        const status = document.getElementById('proxyStatus');
+        if (!status) return;
+        if (!info) {
+            status.textContent = 'Optional: run node server.js to keep keys on the server';
+            return;
+        }
+        const providers = info.providers.length > 0 ? info.providers.join(', ') : 'no LLM keys';
+        status.textContent = `Using proxy: ${providers}; search ${info.search ? 'available' : 'not configured'}. Keys entered below are only used for what the proxy has no key for.`;
+    }
+
+    readCredentialFields() {
+        const credentials = {};
+        for (const id of CREDENTIAL_FIELDS) {
+            const value = document.getElementById(id)?.value;
+            if (value) credentials[id] = value;
+        }
+        return credentials;
+    }
+
+    fillCredentialFields(credentials) {
+        for (const id of CREDENTIAL_FIELDS) {
+            const element = document.getElementById(id);
+            if (element && credentials[id]) element.value = credentials[id];
+        }
+        this.core.updateConfig(this.readConfig());
+    }
+
+    clearCredentialFields() {
+        for (const id of CREDENTIAL_FIELDS) {
+            const element = document.getElementById(id);
+            // Selects keep their default option
+            if (element && element.tagName !== 'SELECT') element.value = '';
+        }
+        this.core.updateConfig(this.readConfig());
+    }
+
+    initCredentials() {
+        // On page load: ask for the passphrase, or offer to encrypt keys an
+        // earlier version left in plaintext
+        if (this.vault.exists()) {
+            this.showUnlockPrompt();
+        } else {
+            const legacy = this.readLegacyCredentials();
+            if (legacy) {
+                this.fillCredentialFields(legacy);
+                this.showWarning('Your saved API keys are stored unencrypted. Enter a vault passphrase and click Save Credentials to encrypt them.');
+            }
+        }
+        this.updateVaultStatus();
+    }
+
+    readLegacyCredentials() {
+        try {
+            return JSON.parse(localStorage.getItem(LEGACY_CREDENTIALS_KEY));
+        } catch (error) {
+            return null;
+        }
+    }
+
+    async saveCredentials() {
+        // Encrypt the current fields; a locked vault is unlocked first so keys
+        // not shown on the page are kept
+        const passphraseInput = document.getElementById('vaultPassphrase');
+        let credentials = this.readCredentialFields();
+        try {
+            if (!this.vault.isUnlocked && this.vault.exists()) {
+                credentials = { ...(await this.vault.unlock(passphraseInput.value)), ...credentials };
+            } else if (!this.vault.isUnlocked) {
+                await this.vault.create(passphraseInput.value);
+            }
+            await this.vault.save(credentials);
+        } catch (error) {
+            this.showError(`Credentials not saved: ${error.message}`);
+            return;
+        }
+
+        passphraseInput.value = '';
+        localStorage.removeItem(LEGACY_CREDENTIALS_KEY);
+        this.fillCredentialFields(credentials);
+        this.updateVaultStatus();
+        this.scheduleAutoLock();
+        this.showSuccess('Credentials encrypted and saved in this browser');
+    }
+
+    async unlockCredentials(passphrase = document.getElementById('vaultPassphrase').value) {
+        // Returns false on a wrong passphrase so the unlock prompt can stay open
+        if (!this.vault.exists()) {
+            this.showError('No saved credentials found');
+            return false;
+        }
+        try {
+            this.fillCredentialFields(await this.vault.unlock(passphrase));
+        } catch (error) {
+            this.showError(`Could not unlock credentials: ${error.message}`);
+            return false;
+        }
+
+        document.getElementById('vaultPassphrase').value = '';
+        document.getElementById('vaultUnlockPrompt')?.remove();
+        this.updateVaultStatus();
+        this.scheduleAutoLock();
+        this.showSuccess('Credentials unlocked');
+        return true;
+    }
+
+    lockCredentials() {
+        // Forget the key and clear the fields; the encrypted copy stays saved
+        clearTimeout(this.autoLockTimer);
+        this.vault.lock();
+        this.clearCredentialFields();
+        this.updateVaultStatus();
+    }
+
+    async forgetCredential(id) {
+        // Clear one field and remove it from every saved copy
+        if (this.vault.exists() && !this.vault.isUnlocked) {
+            this.showError('Unlock your credentials first to forget a saved value');
+            return;
+        }
+
+        const element = document.getElementById(id);
+        if (element) element.value = '';
+        try {
+            if (this.vault.isUnlocked) await this.vault.forget(id);
+        } catch (error) {
+            this.showError(`Could not update saved credentials: ${error.message}`);
+            return;
+        }
+
+        const legacy = this.readLegacyCredentials();
+        if (legacy && id in legacy) {
+            delete legacy[id];
+            localStorage.setItem(LEGACY_CREDENTIALS_KEY, JSON.stringify(legacy));
+        }
+
+        this.core.updateConfig(this.readConfig());
+        const label = document.querySelector(`label[for="${id}"]`)?.textContent.trim() || id;
+        this.showSuccess(`${label} forgotten`);
+    }
+
+    scheduleAutoLock() {
+        // Restarted on every click or key press while the vault is unlocked
+        clearTimeout(this.autoLockTimer);
+        const minutes = parseFloat(document.getElementById('autoLockMinutes')?.value);
+        if (!this.vault.isUnlocked || !(minutes > 0)) return;
+
+        this.autoLockTimer = setTimeout(() => {
+            // Never pull the keys out from under a running request
+            if (this.isProcessing) {
+                this.scheduleAutoLock();
+                return;
+            }
+            this.lockCredentials();
+            this.showWarning(`Credentials locked after ${minutes} minutes of inactivity.`);
+            this.showUnlockPrompt();
+        }, minutes * 60000);
+    }
+
+    showUnlockPrompt() {
+        // Stays until unlocked or dismissed, unlike the other alerts
+        if (document.getElementById('vaultUnlockPrompt')) return;
+
+        const alertDiv = document.createElement('div');
+        alertDiv.id = 'vaultUnlockPrompt';
+        alertDiv.className = 'alert alert-info alert-dismissible fade show';
+        alertDiv.innerHTML = `
+            <form class="d-flex flex-wrap align-items-center gap-2">
+                <strong>🔒 Credentials locked.</strong>
+                <span>Enter your passphrase to use your saved API keys.</span>
+                <input type="password" class="form-control form-control-sm w-auto" placeholder="Passphrase" autocomplete="current-password">
+                <button type="submit" class="btn btn-sm btn-primary">Unlock</button>
+            </form>
+            <button type="button" class="btn-close" data-bs-dismiss="alert"></button>
+        `;
+        const input = alertDiv.querySelector('input');
+        alertDiv.querySelector('form').addEventListener('submit', async (event) => {
+            event.preventDefault();
+            if (!(await this.unlockCredentials(input.value))) {
+                input.value = '';
+                input.focus();
+            }
+        });
+        this.alertContainer.prepend(alertDiv);
+        input.focus();
+    }
+
+    updateVaultStatus() {
+        const badge = document.getElementById('vaultStatus');
+        if (!badge) return;
+        if (this.vault.isUnlocked) {
+            badge.textContent = 'Unlocked';
+            badge.className = 'badge bg-success ms-1';
+        } else if (this.vault.exists()) {
+            badge.textContent = 'Locked';
+            badge.className = 'badge bg-warning text-dark ms-1';
+        } else {
+            badge.textContent = 'No saved credentials';
+            badge.className = 'badge bg-secondary ms-1';
+        }
+    }
+
     async sendMessage() {
         const input = this.userInput.value.trim();
         if (!input || this.isProcessing) return;
 
-        // Add user message to conversation
-        this.addMessage('user', input);
-        
-        // Add to messages array
-        this.messages.push({
-            role: 'user',
-            content: input
-        });
-
         // Clear input
         this.userInput.value = '';
-        
-        // Start processing
-        this.isProcessing = true;
-        await this.loop();
+
+        // Pick up any settings changed since the last message, then let the
+        // core run; its events render the conversation
+        this.core.updateConfig(this.readConfig());
+        if (this.stopButton) this.stopButton.disabled = false;
+        try {
+            await this.core.send(input);
+        } finally {
+            if (this.stopButton) this.stopButton.disabled = true;
+        }
+    }
+
+    stop() {
+        // Abort the pending request and running tools; the core records the
+        // cancelled marker and returns to Ready
+        if (this.core.cancel()) {
+            this.updateStatus('Stopping...');
+            if (this.stopButton) this.stopButton.disabled = true;
+        }
     }
 
     clearConversation() {
-        this.messages = [];
+        // Start a fresh session; the previous one stays in the history sidebar
+        if (this.isProcessing) return;
+        this.startNewSession();
         this.conversationWindow.innerHTML = '';
         this.updateStatus('Ready');
         this.alertContainer.innerHTML = '';
+        this.renderHistory();
+    }
+
+    startNewSession() {
+        this.messages = [];
+        this.sessionId = createSessionId();
+        this.sessionCreatedAt = new Date().toISOString();
+        this.sessionTitle = null;
+        this.updateContextUsage(null);
+        this.updateUsageSummary();
+    }
+
+    async persistSession() {
+        // Save the current conversation; failures only warn so chatting continues
+        if (!this.store.isAvailable() || this.messages.length === 0) return;
+
+        if (!this.sessionTitle) {
+            const firstUserMessage = this.messages.find(m => m.role === 'user');
+            this.sessionTitle = (firstUserMessage?.content || 'New conversation').slice(0, 60);
+        }
+
+        try {
+            await this.store.saveSession({
+                id: this.sessionId,
+                title: this.sessionTitle,
+                model: this.getSelectedModel(),
+                provider: this.getSelectedProvider(),
+                createdAt: this.sessionCreatedAt,
+                updatedAt: new Date().toISOString(),
+                messages: this.messages
+            });
+            this.renderHistory();
+        } catch (error) {
+            console.error('Failed to save conversation:', error);
+            if (!this.historySaveWarned) {
+                this.historySaveWarned = true;
+                this.showWarning(`Conversation history could not be saved: ${error.message}`);
+            }
+        }
+    }
+
+    async resumeSession(id) {
+        if (this.isProcessing) {
+            this.showWarning('Wait for the agent to finish before switching conversations.');
+            return;
+        }
+
+        try {
+            const session = await this.store.getSession(id);
+            if (!session) {
+                throw new Error('Conversation not found');
+            }
+            this.sessionId = session.id;
+            this.sessionCreatedAt = session.createdAt;
+            this.sessionTitle = session.title;
+            this.messages = session.messages;
+
+            this.restoreSessionModel(session);
+
+            this.renderConversation();
+            this.updateStatus('Ready');
+            this.renderHistory();
+        } catch (error) {
+            this.showError(`Could not open conversation: ${error.message}`);
+        }
+    }
+
+    async renameSession(id) {
+        try {
+            const session = await this.store.getSession(id);
+            const title = prompt('Rename conversation', session?.title || '');
+            if (!title || !title.trim()) return;
+
+            await this.store.renameSession(id, title.trim());
+            if (id === this.sessionId) {
+                this.sessionTitle = title.trim();
+            }
+            this.renderHistory();
+        } catch (error) {
+            this.showError(`Could not rename conversation: ${error.message}`);
+        }
+    }
+
+    async deleteSession(id) {
+        if (!confirm('Delete this conversation? This cannot be undone.')) return;
+
+        try {
+            await this.store.deleteSession(id);
+            if (id === this.sessionId && !this.isProcessing) {
+                this.clearConversation();
+            } else {
+                this.renderHistory();
+            }
+        } catch (error) {
+            this.showError(`Could not delete conversation: ${error.message}`);
+        }
+    }
+
+    getSessionInfo() {
+        return {
+            id: this.sessionId,
+            title: this.sessionTitle || this.messages.find(m => m.role === 'user')?.content?.slice(0, 60) || 'Conversation',
+            model: this.getSelectedModel(),
+            provider: this.getSelectedProvider(),
+            createdAt: this.sessionCreatedAt,
+            updatedAt: new Date().toISOString()
+        };
+    }
+
+    restoreSessionModel(session) {
+        // The model name alone can mean another vendor (or a local server),
+        // so the provider it ran on comes back with it
+        if (session.provider && session.provider !== this.getSelectedProvider()) {
+            if (this.setSelectedProvider(session.provider)) {
+                localStorage.setItem('llmAgentProvider', session.provider);
+            }
+        }
+        this.setSelectedModel(session.model);
+        this.core.updateConfig(this.readConfig());
+    }
+
+    exportConversation(format) {
+        if (this.messages.length === 0) {
+            this.showWarning('Nothing to export yet - start a conversation first.');
+            return;
+        }
+
+        const session = this.getSessionInfo();
+        if (format === 'markdown') {
+            const markdown = buildMarkdownTranscript(session, this.messages, (name, result) => this.tools.formatResult(name, result));
+            downloadFile(exportFileName(session.title, 'md'), markdown, 'text/markdown');
+        } else {
+            const data = buildConversationExport(session, this.messages);
+            downloadFile(exportFileName(session.title, 'json'), JSON.stringify(data, null, 2), 'application/json');
+        }
+    }
+
+    async importConversation(file) {
+        if (!file) return;
+        if (this.isProcessing) {
+            this.showWarning('Wait for the agent to finish before importing a conversation.');
+            return;
+        }
+
+        try {
+            const { session, messages } = parseConversationExport(await file.text());
+
+            // Keep the original id unless it would overwrite a different saved session
+            let id = session.id || createSessionId();
+            if (this.store.isAvailable() && session.id && await this.store.getSession(session.id)) {
+                id = createSessionId();
+            }
+
+            this.sessionId = id;
+            this.sessionCreatedAt = session.createdAt || new Date().toISOString();
+            this.sessionTitle = session.title || file.name.replace(/\.json$/i, '');
+            this.messages = messages;
+
+            this.restoreSessionModel(session);
+
+            this.renderConversation();
+            await this.persistSession();
+            this.renderHistory();
+            this.showSuccess(`Imported "${this.sessionTitle}" (${messages.length} messages)`);
+        } catch (error) {
+            this.showError(`Import failed: ${error.message}`);
+        }
+    }
+
+    renderConversation() {
+        // Rebuild the conversation window from this.messages
+        this.conversationWindow.innerHTML = '';
+        this.updateContextUsage(null);
+        this.updateUsageSummary();
+        const toolNames = new Map();
+
+        for (const message of this.messages) {
+            if (message.role === 'user') {
+                this.addMessage('user', message.content, message.timestamp);
+            } else if (message.role === 'assistant') {
+                const options = { simulated: message.simulated };
+                if (message.content && message.content.trim()) {
+                    this.addMessage('agent', message.content, message.timestamp, options);
+                }
+                for (const toolCall of message.tool_calls || []) {
+                    toolNames.set(toolCall.id, toolCall.function.name);
+                    this.addMessage('tool-call', this.formatToolCall(toolCall), message.timestamp, options);
+                }
+            } else if (message.role === 'tool') {
+                let result;
+                try {
+                    result = JSON.parse(message.content);
+                } catch (e) {
+                    result = message.content;
+                }
+                const displayResult = this.tools.formatResult(toolNames.get(message.tool_call_id), result);
+                this.addMessage('tool-result', `✅ ${displayResult}`, message.timestamp, { simulated: message.simulated });
+            }
+        }
+    }
+
+    async renderHistory() {
+        if (!this.historyList) return;
+
+        if (!this.store.isAvailable()) {
+            this.historyList.innerHTML = '<div class="text-muted small p-2">History is unavailable in this browser.</div>';
+            return;
+        }
+
+        const query = this.historySearch ? this.historySearch.value.trim() : '';
+        let sessions;
+        try {
+            sessions = query ? await this.store.searchSessions(query) : await this.store.listSessions();
+        } catch (error) {
+            console.error('Failed to load history:', error);
+            this.historyList.innerHTML = `<div class="text-danger small p-2">${this.escapeHtml(error.message)}</div>`;
+            return;
+        }
+
+        this.historyList.innerHTML = '';
+        if (sessions.length === 0) {
+            this.historyList.innerHTML = `<div class="text-muted small p-2">${query ? 'No matching conversations' : 'No saved conversations yet'}</div>`;
+            return;
+        }
+
+        for (const session of sessions) {
+            const item = document.createElement('div');
+            item.className = `list-group-item list-group-item-action history-item ${session.id === this.sessionId ? 'active' : ''}`;
+            item.innerHTML = `
+                <div class="d-flex justify-content-between align-items-start">
+                    <div class="history-title">${this.escapeHtml(session.title || 'Untitled')}</div>
+                    <div class="btn-group btn-group-sm ms-2">
+                        <button class="btn btn-link btn-sm p-0 me-2" data-action="rename" title="Rename">✏️</button>
+                        <button class="btn btn-link btn-sm p-0" data-action="delete" title="Delete">🗑️</button>
+                    </div>
+                </div>
+                ${session.snippet ? `<div class="history-snippet">${this.escapeHtml(session.snippet)}</div>` : ''}
+                <div class="history-meta">${this.escapeHtml(new Date(session.updatedAt).toLocaleString())} • ${session.messageCount} messages${session.model ? ` • ${this.escapeHtml(session.model)}` : ''}</div>
+            `;
+            item.addEventListener('click', (event) => {
+                const action = event.target.closest('[data-action]')?.dataset.action;
+                if (action === 'rename') {
+                    this.renameSession(session.id);
+                } else if (action === 'delete') {
+                    this.deleteSession(session.id);
+                } else {
+                    this.resumeSession(session.id);
+                }
+            });
+            this.historyList.appendChild(item);
+        }
+    }
+
+    searchHistory() {
+        // Debounce typing in the search box
+        clearTimeout(this.historySearchTimer);
+        this.historySearchTimer = setTimeout(() => this.renderHistory(), 200);
     }
 
     handleKeyPress(event) {
@@ -793,8 +1356,9 @@ let agent;
 document.addEventListener('DOMContentLoaded', () => {
     agent = new LLMAgent();
     
-    // Load saved credentials if available
-    loadCredentials();
+    // Ask for the vault passphrase if credentials are saved
+    agent.initCredentials();
+    agent.detectProxy();
     
     // Add welcome message
     agent.addMessage('agent', `Welcome to the LLM Agent POC! 🚀
@@ -831,59 +1395,98 @@ function sendMessage() {
     agent.sendMessage();
 }
 
+function stopAgent() {
+    agent.stop();
+}
+
+function savePriceTable() {
+    agent.savePriceTable();
+}
+
+function saveSystemPrompt() {
+    agent.saveSystemPrompt();
+}
+
+function applyPersona(id) {
+    agent.applyPersona(id);
+}
+
+function savePersona() {
+    agent.savePersona();
+}
+
+function deletePersona() {
+    agent.deletePersona();
+}
+
 function clearConversation() {
     agent.clearConversation();
 }
 
+function searchHistory() {
+    agent.searchHistory();
+}
+
+function exportConversation(format) {
+    agent.exportConversation(format);
+}
+
+function loadScenario(input) {
+    agent.loadScenario(input.files[0]);
+    input.value = '';
+}
+
+function resetScenario() {
+    agent.resetScenario();
+}
+
+function setCassetteMode(mode) {
+    agent.setCassetteMode(mode);
+}
+
+function saveCassette() {
+    agent.saveCassette();
+}
+
+function loadCassette(input) {
+    agent.loadCassette(input.files[0]);
+    input.value = '';
+}
+
+function importConversation(input) {
+    agent.importConversation(input.files[0]);
+    // Allow importing the same file again
+    input.value = '';
+}
+
 function handleKeyPress(event) {
     agent.handleKeyPress(event);
 }
 
 function updateApiKeyLabel() {
-    // This function is kept for compatibility but now we have multiple API key fields
-    console.log('Provider changed to:', document.getElementById('modelProvider').value);
+    const provider = document.getElementById('modelProvider').value;
+    console.log('Provider changed to:', provider);
+    agent.selectProvider(provider);
+}
+
+function checkProxy() {
+    agent.checkProxy();
 }
 
 function saveCredentials() {
-    const credentials = {};
-    
-    const aipipeElement = document.getElementById('aipipeApiKey');
-    const openaiElement = document.getElementById('openaiApiKey');
-    const anthropicElement = document.getElementById('anthropicApiKey');
-    const googleElement = document.getElementById('googleApiKey');
-    const searchEngineElement = document.getElementById('googleSearchEngineId');
-    
-    if (aipipeElement) credentials.aipipeApiKey = aipipeElement.value;
-    if (openaiElement) credentials.openaiApiKey = openaiElement.value;
-    if (anthropicElement) credentials.anthropicApiKey = anthropicElement.value;
-    if (googleElement) credentials.googleApiKey = googleElement.value;
-    if (searchEngineElement) credentials.googleSearchEngineId = searchEngineElement.value;
-    
-    localStorage.setItem('llmAgentCredentials', JSON.stringify(credentials));
-    agent.showSuccess('Credentials saved to browser storage');
+    agent.saveCredentials();
 }
 
-function loadCredentials() {
-    const stored = localStorage.getItem('llmAgentCredentials');
-    if (stored) {
-        const credentials = JSON.parse(stored);
-        
-        const aipipeElement = document.getElementById('aipipeApiKey');
-        const openaiElement = document.getElementById('openaiApiKey');
-        const anthropicElement = document.getElementById('anthropicApiKey');
-        const googleElement = document.getElementById('googleApiKey');
-        const searchEngineElement = document.getElementById('googleSearchEngineId');
-        
-        if (aipipeElement && credentials.aipipeApiKey) aipipeElement.value = credentials.aipipeApiKey;
-        if (openaiElement && credentials.openaiApiKey) openaiElement.value = credentials.openaiApiKey;
-        if (anthropicElement && credentials.anthropicApiKey) anthropicElement.value = credentials.anthropicApiKey;
-        if (googleElement && credentials.googleApiKey) googleElement.value = credentials.googleApiKey;
-        if (searchEngineElement && credentials.googleSearchEngineId) searchEngineElement.value = credentials.googleSearchEngineId;
-        
-        agent.showSuccess('Credentials loaded from browser storage');
-    } else {
-        agent.showError('No saved credentials found');
-    }
+function unlockCredentials() {
+    agent.unlockCredentials();
+}
+
+function lockCredentials() {
+    agent.lockCredentials();
+}
+
+function forgetCredential(id) {
+    agent.forgetCredential(id);
 }
 
 async function testConnections() {
@@ -925,6 +1528,20 @@ async function testConnections() {
         }
     }
     
+    // Test the custom OpenAI-compatible endpoint
+    const customBaseUrl = document.getElementById('customBaseUrl')?.value.trim();
+    if (customBaseUrl) {
+        const customKey = document.getElementById('customApiKey')?.value;
+        try {
+            const response = await fetch(`${customBaseUrl.replace(/\/+$/, '')}/models`, {
+                headers: customKey ? { 'Authorization': `Bearer ${customKey}` } : {}
+            });
+            results.push(`Custom endpoint: ${response.ok ? '✅ Connected' : '❌ Failed'}`);
+        } catch (e) {
+            results.push('Custom endpoint: ❌ Network Error (is the server running and allowing CORS?)');
+        }
+    }
+    
     // Test Google Search
     const googleElement = document.getElementById('googleApiKey');
     const searchEngineElement = document.getElementById('googleSearchEngineId');
@@ -0,0 +1,97 @@
+// Record-and-replay cassettes for LLM Agent POC
+//
+// While recording, every LLM call and tool call is stored in order as an
+// interaction { type: 'llm' | 'tool', request, response }. A saved cassette
+// can be loaded in replay mode, where the same calls are answered from the
+// recording in order without touching the network.
+
+const CASSETTE_FORMAT = 'llm-agent-cassette';
+const CASSETTE_VERSION = 1;
+
+class Cassette {
+    constructor(data = {}) {
+        this.createdAt = data.createdAt || new Date().toISOString();
+        this.interactions = data.interactions || [];
+        this.position = 0;
+    }
+
+    static parse(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new Error(`Not a valid JSON file (${error.message})`);
+        }
+        if (!data || data.format !== CASSETTE_FORMAT) {
+            throw new Error('Not an LLM Agent cassette');
+        }
+        if (typeof data.version !== 'number' || data.version > CASSETTE_VERSION) {
+            throw new Error(`Unsupported cassette version ${data.version}`);
+        }
+        if (!Array.isArray(data.interactions)) {
+            throw new Error('Cassette has no interactions array');
+        }
+        return new Cassette(data);
+    }
+
+    async record(type, request, call) {
+        // Reserve the slot before awaiting so parallel tool calls keep the
+        // order in which they were started
+        const interaction = { type, request: cloneForCassette(request), response: null };
+        this.interactions.push(interaction);
+
+        try {
+            const response = await call();
+            interaction.response = cloneForCassette(response);
+            return response;
+        } catch (error) {
+            interaction.error = error.message;
+            throw error;
+        }
+    }
+
+    replay(type, request) {
+        const index = this.position;
+        const interaction = this.interactions[index];
+        if (!interaction) {
+            throw new Error(`Cassette exhausted: all ${this.interactions.length} recorded interactions have been replayed`);
+        }
+
+        const expected = interaction.type === 'tool' ? `tool ${interaction.request.name}` : interaction.type;
+        const actual = type === 'tool' ? `tool ${request.name}` : type;
+        if (expected !== actual) {
+            throw new Error(`Cassette mismatch at interaction ${index + 1}: recorded ${expected}, got ${actual}`);
+        }
+
+        this.position++;
+        if (interaction.error) {
+            throw new Error(interaction.error);
+        }
+        return cloneForCassette(interaction.response);
+    }
+
+    rewind() {
+        this.position = 0;
+    }
+
+    remaining() {
+        return this.interactions.length - this.position;
+    }
+
+    toJSON() {
+        return {
+            format: CASSETTE_FORMAT,
+            version: CASSETTE_VERSION,
+            createdAt: this.createdAt,
+            interactions: this.interactions
+        };
+    }
+}
+
+function cloneForCassette(value) {
+    // Cassettes only hold plain JSON data
+    return value === undefined ? null : JSON.parse(JSON.stringify(value));
+}
+
+// Export for use in agent.js
+window.Cassette = Cassette;
@@ -0,0 +1,110 @@
+// Context window management for LLM Agent POC
+//
+// Token counts are estimates (about four characters per token plus a small
+// per-message overhead) - close enough to keep requests under a model's
+// limit without shipping a tokenizer. Before each request AgentCore calls
+// fitToContext(), which drops the oldest turns first. A turn starts at a user
+// message and runs up to the next one, so an assistant tool call always
+// leaves together with its results. If the current turn alone is still too
+// large, its biggest offenders - long tool results - are shortened.
+
+const CHARS_PER_TOKEN = 4;
+const MESSAGE_OVERHEAD_TOKENS = 4;
+const DEFAULT_CONTEXT_LIMIT = 8192;
+const TRUNCATED_TOOL_RESULT_CHARS = 2000;
+
+// First match wins, so more specific names come first
+const MODEL_CONTEXT_LIMITS = [
+    { pattern: /gpt-4o|gpt-4-turbo|gpt-4\.1/, tokens: 128000 },
+    { pattern: /gpt-4-32k/, tokens: 32768 },
+    { pattern: /gpt-4/, tokens: 8192 },
+    { pattern: /gpt-3\.5-turbo/, tokens: 16385 },
+    { pattern: /claude/, tokens: 200000 },
+    { pattern: /gemini-1\.5|gemini-2/, tokens: 1000000 },
+    { pattern: /gemini/, tokens: 32760 }
+];
+
+function contextLimitForModel(model) {
+    const entry = MODEL_CONTEXT_LIMITS.find(({ pattern }) => pattern.test(model || ''));
+    return entry ? entry.tokens : DEFAULT_CONTEXT_LIMIT;
+}
+
+function estimateTokens(text) {
+    return Math.ceil(String(text ?? '').length / CHARS_PER_TOKEN);
+}
+
+function estimateMessageTokens(message) {
+    let tokens = MESSAGE_OVERHEAD_TOKENS + estimateTokens(message.content);
+    if (message.tool_calls) {
+        tokens += estimateTokens(JSON.stringify(message.tool_calls));
+    }
+    return tokens;
+}
+
+function estimateRequestTokens(messages, tools = []) {
+    // Messages plus the tool definitions, which are sent with every request
+    const toolTokens = tools && tools.length > 0 ? estimateTokens(JSON.stringify(tools)) : 0;
+    return messages.reduce((sum, message) => sum + estimateMessageTokens(message), toolTokens);
+}
+
+function splitIntoTurns(messages) {
+    const turns = [];
+    for (const message of messages) {
+        if (message.role === 'user' || turns.length === 0) {
+            turns.push([]);
+        }
+        turns[turns.length - 1].push(message);
+    }
+    return turns;
+}
+
+function fitToContext(messages, { limit, reserve = 0, tools = [] } = {}) {
+    // Returns { messages, tokens, limit, budget, dropped, truncated, overLimit };
+    // reserve is kept free for the reply (max output tokens)
+    const budget = limit - reserve;
+    const system = messages.filter(message => message.role === 'system');
+    const turns = splitIntoTurns(messages.filter(message => message.role !== 'system'));
+    const turnTokens = turns.map(turn => estimateRequestTokens(turn));
+    let tokens = estimateRequestTokens(system, tools) + turnTokens.reduce((sum, count) => sum + count, 0);
+
+    // Oldest turns go first; the current turn always stays
+    let dropped = 0;
+    while (turns.length > 1 && tokens > budget) {
+        dropped += turns.shift().length;
+        tokens -= turnTokens.shift();
+    }
+
+    let fitted = [...system, ...turns.flat()];
+
+    // Still too large: shorten tool results, oldest first
+    let truncated = 0;
+    if (tokens > budget) {
+        fitted = fitted.map(message => {
+            if (tokens <= budget || message.role !== 'tool' || String(message.content).length <= TRUNCATED_TOOL_RESULT_CHARS) {
+                return message;
+            }
+            const shortened = { ...message, content: shortenToolResult(message.content) };
+            tokens += estimateMessageTokens(shortened) - estimateMessageTokens(message);
+            truncated++;
+            return shortened;
+        });
+    }
+
+    return { messages: fitted, tokens, limit, budget, dropped, truncated, overLimit: tokens > budget };
+}
+
+function shortenToolResult(content) {
+    // Keep the result valid JSON so adapters that parse it still can
+    const text = String(content);
+    return JSON.stringify({
+        truncated: true,
+        note: `Result shortened from ${text.length} characters to fit the context window`,
+        preview: text.slice(0, TRUNCATED_TOOL_RESULT_CHARS)
+    });
+}
+
+// Export for use in agent-core.js and agent.js
+window.contextLimitForModel = contextLimitForModel;
+window.estimateTokens = estimateTokens;
+window.estimateRequestTokens = estimateRequestTokens;
+window.fitToContext = fitToContext;
@@ -0,0 +1,148 @@
+// Conversation history for LLM Agent POC
+//
+// Sessions are stored in IndexedDB as one record each:
+//   { id, title, model, provider, createdAt, updatedAt, messages }
+// where messages is the agent's full message list (user turns, assistant
+// turns with tool_calls, tool results) including per-message timestamps.
+
+const HISTORY_DB_NAME = 'llmAgentHistory';
+const HISTORY_DB_VERSION = 1;
+const HISTORY_STORE = 'sessions';
+
+class ConversationStore {
+    constructor(indexedDBFactory = window.indexedDB) {
+        this.idb = indexedDBFactory;
+        this.dbPromise = null;
+    }
+
+    isAvailable() {
+        return Boolean(this.idb);
+    }
+
+    open() {
+        if (!this.isAvailable()) {
+            return Promise.reject(new Error('IndexedDB is not available in this browser'));
+        }
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = this.idb.open(HISTORY_DB_NAME, HISTORY_DB_VERSION);
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    if (!db.objectStoreNames.contains(HISTORY_STORE)) {
+                        const store = db.createObjectStore(HISTORY_STORE, { keyPath: 'id' });
+                        store.createIndex('updatedAt', 'updatedAt');
+                    }
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+            // Allow a later retry if opening failed
+            this.dbPromise.catch(() => { this.dbPromise = null; });
+        }
+        return this.dbPromise;
+    }
+
+    async withStore(mode, fn) {
+        // Run one request in its own transaction and resolve once it commits
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(HISTORY_STORE, mode);
+            const request = fn(transaction.objectStore(HISTORY_STORE));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+        });
+    }
+
+    saveSession(session) {
+        return this.withStore('readwrite', store => store.put(session));
+    }
+
+    getSession(id) {
+        return this.withStore('readonly', store => store.get(id));
+    }
+
+    deleteSession(id) {
+        return this.withStore('readwrite', store => store.delete(id));
+    }
+
+    async renameSession(id, title) {
+        const session = await this.getSession(id);
+        if (!session) {
+            throw new Error('Conversation not found');
+        }
+        session.title = title;
+        await this.saveSession(session);
+        return session;
+    }
+
+    async getAllSessions() {
+        const sessions = await this.withStore('readonly', store => store.getAll());
+        return sessions.sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+    }
+
+    async listSessions() {
+        const sessions = await this.getAllSessions();
+        return sessions.map(summarizeSession);
+    }
+
+    async searchSessions(query) {
+        // Case-insensitive full-text search over titles, message text, tool
+        // call arguments and tool results; every term must match
+        const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+        if (terms.length === 0) {
+            return this.listSessions();
+        }
+
+        const sessions = await this.getAllSessions();
+        const matches = [];
+        for (const session of sessions) {
+            const texts = [session.title || '', ...session.messages.map(messageSearchText)];
+            const haystack = texts.join('\n').toLowerCase();
+            if (!terms.every(term => haystack.includes(term))) continue;
+
+            const matchingText = texts.find(text => text.toLowerCase().includes(terms[0])) || '';
+            matches.push({
+                ...summarizeSession(session),
+                snippet: makeSnippet(matchingText, terms[0])
+            });
+        }
+        return matches;
+    }
+}
+
+function summarizeSession(session) {
+    return {
+        id: session.id,
+        title: session.title,
+        model: session.model,
+        provider: session.provider,
+        createdAt: session.createdAt,
+        updatedAt: session.updatedAt,
+        messageCount: session.messages.length
+    };
+}
+
+function messageSearchText(message) {
+    const parts = [message.content || ''];
+    for (const call of message.tool_calls || []) {
+        parts.push(call.function.name, call.function.arguments || '');
+    }
+    return parts.join(' ');
+}
+
+function makeSnippet(text, term, radius = 40) {
+    const index = text.toLowerCase().indexOf(term);
+    if (index === -1) return text.slice(0, radius * 2);
+    const start = Math.max(0, index - radius);
+    const end = Math.min(text.length, index + term.length + radius);
+    return `${start > 0 ? '…' : ''}${text.slice(start, end)}${end < text.length ? '…' : ''}`;
+}
+
+function createSessionId() {
+    return `session_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 8)}`;
+}
+
+// Export for use in agent.js
+window.ConversationStore = ConversationStore;
+window.createSessionId = createSessionId;
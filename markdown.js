@@ -0,0 +1,192 @@
+// Safe Markdown rendering for agent and tool-result messages
+//
+// Model replies and tool results (search snippets, workflow output) are
+// untrusted, so the renderer escapes every character of the input and only
+// emits the handful of tags it builds itself: paragraphs, headings, lists,
+// blockquotes, rules, emphasis, inline code, fenced code blocks and links.
+// Raw HTML in the input always shows up as text. Links are only created for
+// http(s) and mailto URLs and open in a new tab without access to the page.
+//
+// Code blocks carry a language-* class for highlight.js and a copy button;
+// both are wired up by agent.js after the HTML is inserted.
+
+const SAFE_LINK_PROTOCOLS = /^(https?:|mailto:)/i;
+
+function renderMarkdown(text) {
+    // Placeholders use \u0000, so make sure the input cannot fake one
+    const source = String(text ?? '').replace(/\u0000/g, '').replace(/\r\n?/g, '\n');
+    return renderBlocks(source.split('\n'));
+}
+
+function renderBlocks(lines) {
+    const html = [];
+    let paragraph = [];
+
+    const flushParagraph = () => {
+        if (paragraph.length > 0) {
+            html.push(`<p>${paragraph.map(line => renderInline(line)).join('<br>')}</p>`);
+            paragraph = [];
+        }
+    };
+
+    let index = 0;
+    while (index < lines.length) {
+        const line = lines[index];
+
+        // Fenced code block; an unclosed fence runs to the end (e.g. while streaming)
+        const fence = line.match(/^\s*(`{3,}|~{3,})\s*([\w+#.-]*)/);
+        if (fence) {
+            flushParagraph();
+            const marker = fence[1];
+            const code = [];
+            index++;
+            while (index < lines.length && !isClosingFence(lines[index], marker)) {
+                code.push(lines[index]);
+                index++;
+            }
+            index++;
+            html.push(renderCodeBlock(code.join('\n'), fence[2]));
+            continue;
+        }
+
+        if (!line.trim()) {
+            flushParagraph();
+            index++;
+            continue;
+        }
+
+        const heading = line.match(/^\s*(#{1,6})\s+(.*?)\s*#*\s*$/);
+        if (heading) {
+            flushParagraph();
+            const level = heading[1].length;
+            html.push(`<h${level}>${renderInline(heading[2])}</h${level}>`);
+            index++;
+            continue;
+        }
+
+        if (/^\s*([-*_])(\s*\1){2,}\s*$/.test(line)) {
+            flushParagraph();
+            html.push('<hr>');
+            index++;
+            continue;
+        }
+
+        if (/^\s*>/.test(line)) {
+            flushParagraph();
+            const quoted = [];
+            while (index < lines.length && /^\s*>/.test(lines[index])) {
+                quoted.push(lines[index].replace(/^\s*>\s?/, ''));
+                index++;
+            }
+            html.push(`<blockquote>${renderBlocks(quoted)}</blockquote>`);
+            continue;
+        }
+
+        const listType = listItemType(line);
+        if (listType) {
+            flushParagraph();
+            const items = [];
+            while (index < lines.length && listItemType(lines[index]) === listType) {
+                items.push(lines[index].replace(/^\s*([-*+•]|\d+[.)])\s+/, ''));
+                index++;
+                // Indented lines continue the previous item
+                while (index < lines.length && /^\s{2,}\S/.test(lines[index]) && !listItemType(lines[index])) {
+                    items[items.length - 1] += '\n' + lines[index].trim();
+                    index++;
+                }
+            }
+            const tag = listType === 'ordered' ? 'ol' : 'ul';
+            const body = items.map(item => `<li>${item.split('\n').map(line => renderInline(line)).join('<br>')}</li>`).join('');
+            html.push(`<${tag}>${body}</${tag}>`);
+            continue;
+        }
+
+        paragraph.push(line);
+        index++;
+    }
+
+    flushParagraph();
+    return html.join('');
+}
+
+function isClosingFence(line, marker) {
+    const trimmed = line.trim();
+    return trimmed.length >= marker.length && trimmed === marker[0].repeat(trimmed.length);
+}
+
+function listItemType(line) {
+    if (/^\s*[-*+•]\s+/.test(line)) return 'unordered';
+    if (/^\s*\d+[.)]\s+/.test(line)) return 'ordered';
+    return null;
+}
+
+function renderCodeBlock(code, language) {
+    const languageClass = language ? ` class="language-${escapeMarkdownHtml(language.toLowerCase())}"` : '';
+    return '<div class="code-block">' +
+        '<button type="button" class="btn btn-sm btn-outline-secondary copy-code-btn" title="Copy code">Copy</button>' +
+        `<pre><code${languageClass}>${escapeMarkdownHtml(code)}</code></pre>` +
+        '</div>';
+}
+
+function renderInline(text, autolink = true, tokens = []) {
+    // Pull out code spans and links first so their contents are not touched
+    // by the emphasis rules, escape everything else, then put them back.
+    // Link labels share the tokens, so code spans inside them resolve
+    const stash = (html) => `\u0000${tokens.push(html) - 1}\u0000`;
+
+    let result = text.replace(/(`+)([^`]|[^`][\s\S]*?[^`])\1(?!`)/g, (match, ticks, code) =>
+        stash(`<code>${escapeMarkdownHtml(code.trim() || code)}</code>`));
+
+    // URLs may hold balanced parentheses: wiki/Foo_(bar), javascript:alert(1)
+    result = result.replace(/\[([^\]]+)\]\(\s*<?((?:[^\s()<>]|\([^\s()<>]*\))+)>?(?:\s+"[^"]*")?\s*\)/g, (match, label, url) =>
+        stash(renderLink(url, renderInline(label, false, tokens))));
+
+    result = escapeMarkdownHtml(result);
+
+    // Bare URLs become links too; trailing punctuation stays outside
+    if (autolink) {
+        result = result.replace(/\bhttps?:\/\/[^\s<\u0000]+/g, (match) => {
+            const url = match.replace(/([.,;:!?)\]]|&#39;|&quot;)+$/, '');
+            return stash(renderLink(unescapeMarkdownHtml(url), url)) + match.slice(url.length);
+        });
+    }
+
+    result = result
+        .replace(/\*\*(?=\S)([\s\S]*?\S)\*\*/g, '<strong>$1</strong>')
+        .replace(/__(?=\S)([\s\S]*?\S)__/g, '<strong>$1</strong>')
+        .replace(/~~(?=\S)([\s\S]*?\S)~~/g, '<del>$1</del>')
+        .replace(/(^|[^*\w])\*(?=[^\s*])([^*]*?[^\s*])\*(?![*\w])/g, '$1<em>$2</em>')
+        .replace(/(^|[^_\w])_(?=[^\s_])([^_]*?[^\s_])_(?![_\w])/g, '$1<em>$2</em>');
+
+    return result.replace(/\u0000(\d+)\u0000/g, (match, index) => tokens[Number(index)]);
+}
+
+function renderLink(url, labelHtml) {
+    const href = url.trim();
+    if (!SAFE_LINK_PROTOCOLS.test(href)) {
+        // javascript:, data: and relative URLs are shown as plain text
+        return labelHtml;
+    }
+    return `<a href="${escapeMarkdownHtml(href)}" target="_blank" rel="noopener noreferrer nofollow">${labelHtml}</a>`;
+}
+
+function escapeMarkdownHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+function unescapeMarkdownHtml(text) {
+    return text
+        .replace(/&#39;/g, "'")
+        .replace(/&quot;/g, '"')
+        .replace(/&gt;/g, '>')
+        .replace(/&lt;/g, '<')
+        .replace(/&amp;/g, '&');
+}
+
+// Export for use in agent.js
+window.renderMarkdown = renderMarkdown;
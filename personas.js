@@ -0,0 +1,98 @@
+// System prompt and persona presets for LLM Agent POC
+//
+// The system prompt is not part of the conversation history: AgentCore puts
+// it in front of the messages on every request (config.systemPrompt), so an
+// edited prompt applies from the next message on and stored sessions stay
+// plain user/assistant/tool turns. Each provider adapter then places it where
+// its API expects - first message for OpenAI-style APIs, `system` for
+// Anthropic, `systemInstruction` for Gemini.
+//
+// A persona bundles a prompt with the tools to enable and, optionally, a
+// model: { id, name, systemPrompt, tools: [toolName] | null, model }.
+// tools: null leaves the tool switches as they are.
+
+const DEFAULT_SYSTEM_PROMPT = `You are a helpful assistant that can reason step by step and use tools.
+
+Pick the tool that fits the task:
+- google_search: current events, facts you are unsure of, or anything that needs a source. Cite the links you use.
+- aipipe_workflow: multi-step processing of text or data (summaries, extraction, analysis) handed to an AI Pipe workflow.
+- execute_javascript: calculations, data transformations and checking code. Print results with console.log.
+
+Answer directly when no tool is needed. If a tool fails, explain what happened and try another approach instead of repeating the same call.`;
+
+const BUILT_IN_PERSONAS = [
+    {
+        id: 'assistant',
+        name: 'General Assistant',
+        systemPrompt: DEFAULT_SYSTEM_PROMPT,
+        tools: ['google_search', 'aipipe_workflow', 'execute_javascript'],
+        model: null
+    },
+    {
+        id: 'researcher',
+        name: 'Researcher',
+        systemPrompt: `You are a careful research assistant.
+
+Use google_search for every factual claim that could be outdated or disputed, and search again with different terms when results are thin. Use aipipe_workflow to summarise or compare long material. Keep answers structured: a short answer first, then the supporting points, each with the link it came from. Say clearly when sources disagree or when you could not verify something.`,
+        tools: ['google_search', 'aipipe_workflow'],
+        model: null
+    },
+    {
+        id: 'coding-tutor',
+        name: 'Coding Tutor',
+        systemPrompt: `You are a patient JavaScript tutor.
+
+Explain concepts in small steps with short examples. Use execute_javascript to run every example before you show its output, and to check the learner's code when they share it. Point out mistakes kindly, explain why they happen and let the learner try the fix before giving the full answer.`,
+        tools: ['execute_javascript'],
+        model: null
+    },
+    {
+        id: 'blog-interviewer',
+        name: 'Blog Post Interviewer',
+        systemPrompt: `You help the user write a blog post by interviewing them.
+
+Ask one question at a time: the topic, the audience, the main points, stories or examples, and the conclusion. When the user names a company, person or event, use google_search to gather a few facts and share them briefly before the next question. When the user says they are done, or asks for the next step, draft the post in Markdown with a title, short sections and a closing paragraph.`,
+        tools: ['google_search'],
+        model: null
+    }
+];
+
+function parsePersona(data) {
+    // Validates a saved or imported persona; throws on bad input
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        throw new Error('Persona must be an object');
+    }
+    const name = typeof data.name === 'string' ? data.name.trim() : '';
+    if (!name) {
+        throw new Error('Persona needs a name');
+    }
+    if (typeof data.systemPrompt !== 'string') {
+        throw new Error(`Persona "${name}" needs a systemPrompt string`);
+    }
+    if (data.tools != null && (!Array.isArray(data.tools) || data.tools.some(tool => typeof tool !== 'string'))) {
+        throw new Error(`Persona "${name}" tools must be a list of tool names`);
+    }
+    return {
+        id: typeof data.id === 'string' && data.id ? data.id : personaId(name),
+        name,
+        systemPrompt: data.systemPrompt,
+        tools: data.tools ? [...data.tools] : null,
+        model: typeof data.model === 'string' && data.model ? data.model : null
+    };
+}
+
+function personaId(name) {
+    // Custom ids are prefixed so they never shadow a built-in persona
+    return 'custom-' + name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+function findPersona(id, customPersonas = []) {
+    return [...BUILT_IN_PERSONAS, ...customPersonas].find(persona => persona.id === id) || null;
+}
+
+// Export for use in agent-core.js and agent.js
+window.DEFAULT_SYSTEM_PROMPT = DEFAULT_SYSTEM_PROMPT;
+window.BUILT_IN_PERSONAS = BUILT_IN_PERSONAS;
+window.parsePersona = parsePersona;
+window.personaId = personaId;
+window.findPersona = findPersona;
@@ -0,0 +1,665 @@
+// LLM provider adapters for LLM Agent POC
+//
+// Each adapter turns the agent's OpenAI-style conversation into a provider
+// request and the provider's reply back into { output, toolCalls }.
+// Register new providers with LLMProviders.register({...}) from any script
+// loaded before agent.js - AgentCore only talks to this interface.
+//
+// Adapter shape:
+//   name                 unique id used by AgentCore ('openai', 'anthropic', ...)
+//   label                human readable name for messages
+//   apiKeyField          config key (and input id) holding the provider's API key
+//   apiKeyOptional       optional, true if requests work without a key
+//   baseUrlField         optional, config key holding a user-supplied server URL;
+//                        such providers are never sent through the proxy
+//   matchModel(model)    optional, true if this provider serves the model name
+//   buildRequest(ctx)    returns { url, headers, body }
+//   parseResponse(data, ctx)         returns { output, toolCalls, usage, model }
+//   normalizeToolCalls(calls, ctx)   returns OpenAI-shaped tool calls
+//   mapError(error, ctx)             returns a user facing error message
+//   parseStream(response, onToken, ctx)  optional, enables streaming
+//
+// ctx is { model, messages, tools, apiKey, baseUrl, stream, maxTokens }
+// usage is optional: { inputTokens, outputTokens } as reported by the provider
+// model is optional: the model that answered, when the reply names it
+
+class ProviderRegistry {
+    constructor() {
+        this.adapters = new Map();
+    }
+
+    register(adapter) {
+        if (!adapter || !adapter.name) {
+            throw new Error('Provider adapter needs a name');
+        }
+        if (typeof adapter.buildRequest !== 'function' || typeof adapter.parseResponse !== 'function') {
+            throw new Error(`Provider "${adapter.name}" must implement buildRequest and parseResponse`);
+        }
+
+        this.adapters.set(adapter.name, {
+            label: adapter.name,
+            normalizeToolCalls: normalizeOpenAIToolCalls,
+            mapError: mapCommonError,
+            ...adapter
+        });
+        return this.adapters.get(adapter.name);
+    }
+
+    unregister(name) {
+        return this.adapters.delete(name);
+    }
+
+    get(name) {
+        return this.adapters.get(name);
+    }
+
+    list() {
+        return Array.from(this.adapters.values());
+    }
+
+    forModel(model, fallback = 'openai') {
+        const adapter = this.list().find(a => typeof a.matchModel === 'function' && a.matchModel(model));
+        return adapter ? adapter.name : fallback;
+    }
+}
+
+function normalizeOpenAIToolCalls(toolCalls) {
+    // Make sure every call has an id and string arguments
+    return (toolCalls || []).map((call, index) => ({
+        id: call.id || `call_${Date.now()}_${index}`,
+        type: call.type || 'function',
+        function: {
+            name: call.function?.name,
+            arguments: typeof call.function?.arguments === 'string'
+                ? call.function.arguments
+                : JSON.stringify(call.function?.arguments || {})
+        }
+    }));
+}
+
+function mapCommonError({ status, statusText, errorData }) {
+    if (status === 429) {
+        return 'API quota exceeded. Check your billing or try again later.';
+    }
+    if (status === 401) {
+        return 'Invalid API key. Please check your credentials.';
+    }
+    return errorData?.error?.message || `HTTP ${status}: ${statusText}`;
+}
+
+async function readOpenAIStream(response, onToken) {
+    // Parse an OpenAI-style SSE stream, forwarding text deltas as they arrive
+    // and assembling tool_calls argument fragments by their index
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let output = '';
+    let finished = false;
+    let usage = null;
+    let model = null;
+    const toolCallParts = [];
+
+    const handleLine = (line) => {
+        const trimmed = line.trim();
+        // Skip blank lines and SSE comments such as ": OPENROUTER PROCESSING"
+        if (!trimmed.startsWith('data:')) return;
+
+        const payload = trimmed.slice(5).trim();
+        if (payload === '[DONE]') {
+            finished = true;
+            return;
+        }
+
+        let event;
+        try {
+            event = JSON.parse(payload);
+        } catch (e) {
+            console.warn('Skipping malformed stream event:', payload.substring(0, 100));
+            return;
+        }
+
+        if (event.error) {
+            throw new Error(event.error.message || 'Stream error');
+        }
+
+        if (event.model) {
+            model = event.model;
+        }
+
+        // The usage chunk comes last, usually with an empty choices array
+        if (event.usage) {
+            usage = normalizeOpenAIUsage(event.usage);
+        }
+
+        const delta = event.choices?.[0]?.delta || {};
+        if (delta.content) {
+            output += delta.content;
+            onToken(delta.content, output);
+        }
+
+        for (const part of delta.tool_calls || []) {
+            const index = part.index ?? toolCallParts.length;
+            const call = toolCallParts[index] || (toolCallParts[index] = {
+                id: '',
+                type: 'function',
+                function: { name: '', arguments: '' }
+            });
+            if (part.id) call.id = part.id;
+            if (part.type) call.type = part.type;
+            if (part.function?.name) call.function.name += part.function.name;
+            if (part.function?.arguments) call.function.arguments += part.function.arguments;
+        }
+    };
+
+    while (!finished) {
+        const { value, done } = await reader.read();
+        if (done) break;
+
+        buffer += decoder.decode(value, { stream: true });
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+        for (const line of lines) {
+            handleLine(line);
+            if (finished) break;
+        }
+    }
+
+    if (finished) {
+        reader.cancel().catch(() => {});
+    } else if (buffer) {
+        handleLine(buffer);
+    }
+
+    const toolCalls = toolCallParts.filter(Boolean).map(call => ({
+        ...call,
+        function: { ...call.function, arguments: call.function.arguments || '{}' }
+    }));
+
+    return { output, toolCalls, usage, model };
+}
+
+function normalizeOpenAIUsage(usage) {
+    if (!usage) return null;
+    return {
+        inputTokens: usage.prompt_tokens || 0,
+        outputTokens: usage.completion_tokens || 0
+    };
+}
+
+function systemPromptOf(messages) {
+    // Anthropic and Gemini take the system prompt outside the message list;
+    // join every system message so none is silently lost
+    return messages
+        .filter(m => m.role === 'system' && m.content)
+        .map(m => m.content)
+        .join('\n\n');
+}
+
+function parseToolArguments(args) {
+    // Tool call arguments are a JSON string in OpenAI format
+    if (typeof args !== 'string') return args || {};
+    try {
+        return JSON.parse(args || '{}');
+    } catch (e) {
+        return {};
+    }
+}
+
+function parseOpenAIResponse(data, label) {
+    const choice = data.choices?.[0];
+    if (!choice) {
+        throw new Error(`No response choices returned from ${label}`);
+    }
+    return {
+        output: choice.message?.content || '',
+        toolCalls: choice.message?.tool_calls || [],
+        usage: normalizeOpenAIUsage(data.usage),
+        model: data.model || null
+    };
+}
+
+const LLMProviders = new ProviderRegistry();
+
+LLMProviders.register({
+    name: 'openai',
+    label: 'OpenAI',
+    apiKeyField: 'openaiApiKey',
+    matchModel: model => model.includes('gpt'),
+
+    buildRequest({ model, messages, tools, apiKey, stream, maxTokens = 1000 }) {
+        const body = {
+            // Use gpt-3.5-turbo as fallback if gpt-4 isn't available
+            model: model === 'gpt-4' ? 'gpt-3.5-turbo' : model,
+            messages: messages,
+            tools: tools,
+            tool_choice: 'auto',
+            max_tokens: maxTokens
+        };
+        if (stream) {
+            body.stream = true;
+            // Ask for a final chunk with token usage
+            body.stream_options = { include_usage: true };
+        }
+        return {
+            url: 'https://api.openai.com/v1/chat/completions',
+            headers: {
+                'Content-Type': 'application/json',
+                'Authorization': `Bearer ${apiKey}`
+            },
+            body
+        };
+    },
+
+    parseResponse(data) {
+        return parseOpenAIResponse(data, 'API');
+    },
+
+    parseStream: readOpenAIStream,
+
+    mapError(error, { model }) {
+        if (error.status === 404) {
+            return `Model "${model}" not available. Try "gpt-3.5-turbo" instead.`;
+        }
+        return mapCommonError(error);
+    }
+});
+
+LLMProviders.register({
+    name: 'aipipe',
+    label: 'AI Pipe',
+    apiKeyField: 'aipipeApiKey',
+
+    mapModel(model) {
+        // OpenRouter names are vendor/model: names that already have a vendor
+        // pass through, known families get theirs, anything else is sent
+        // as typed so the API reports an unknown model instead of a
+        // different one answering
+        if (model.includes('/')) return model;
+        const vendors = [
+            [/^(gpt-|o\d)/, 'openai'],
+            [/^claude-/, 'anthropic'],
+            [/^gemini-/, 'google']
+        ];
+        const match = vendors.find(([pattern]) => pattern.test(model));
+        return match ? `${match[1]}/${model}` : model;
+    },
+
+    buildRequest({ model, messages, tools, apiKey, stream, maxTokens = 1000 }) {
+        // Use OpenAI format through AI Pipe's OpenRouter proxy
+        const body = {
+            model: this.mapModel(model),
+            messages: messages,
+            max_tokens: maxTokens
+        };
+        // Only add tools if we have them
+        if (tools && tools.length > 0) {
+            body.tools = tools;
+            body.tool_choice = 'auto';
+        }
+        if (stream) {
+            body.stream = true;
+            body.stream_options = { include_usage: true };
+        }
+        return {
+            url: 'https://aipipe.org/openrouter/v1/chat/completions',
+            headers: {
+                'Content-Type': 'application/json',
+                'Authorization': `Bearer ${apiKey}`
+            },
+            body
+        };
+    },
+
+    parseResponse(data) {
+        // AI Pipe returns OpenAI-compatible format
+        return parseOpenAIResponse(data, 'AI Pipe');
+    },
+
+    parseStream: readOpenAIStream,
+
+    mapError(error) {
+        const { status, errorData } = error;
+        if (status === 404) {
+            return 'AI Pipe endpoint not found. Check API endpoint or try simulation mode.';
+        }
+        if (status === 400) {
+            let message = `AI Pipe request error: ${errorData?.error?.message || 'Invalid request format'}`;
+            if (errorData?.error?.metadata) {
+                message += ` (Details: ${JSON.stringify(errorData.error.metadata)})`;
+            }
+            return message;
+        }
+        return mapCommonError(error);
+    }
+});
+
+LLMProviders.register({
+    name: 'anthropic',
+    label: 'Anthropic',
+    apiKeyField: 'anthropicApiKey',
+    matchModel: model => model.includes('claude'),
+
+    formatTools(tools) {
+        // OpenAI function schemas become Anthropic tools with an input_schema
+        return (tools || []).map(tool => ({
+            name: tool.function.name,
+            description: tool.function.description || '',
+            input_schema: tool.function.parameters || { type: 'object', properties: {} }
+        }));
+    },
+
+    formatMessages(messages) {
+        // Anthropic has no 'tool' role: tool calls are tool_use blocks on the
+        // assistant turn and their results are tool_result blocks on the next
+        // user turn. Consecutive blocks for the same role are merged.
+        const formatted = [];
+        const append = (role, blocks) => {
+            const last = formatted[formatted.length - 1];
+            if (last && last.role === role) {
+                last.content.push(...blocks);
+            } else {
+                formatted.push({ role, content: blocks });
+            }
+        };
+
+        for (const message of messages) {
+            if (message.role === 'system') continue;
+
+            if (message.role === 'tool') {
+                const content = typeof message.content === 'string' ? message.content : JSON.stringify(message.content);
+                const block = { type: 'tool_result', tool_use_id: message.tool_call_id, content };
+                if (parseToolArguments(content).error === true) {
+                    block.is_error = true;
+                }
+                append('user', [block]);
+            } else if (message.role === 'assistant') {
+                const blocks = [];
+                if (message.content) {
+                    blocks.push({ type: 'text', text: message.content });
+                }
+                for (const call of message.tool_calls || []) {
+                    blocks.push({
+                        type: 'tool_use',
+                        id: call.id,
+                        name: call.function.name,
+                        input: parseToolArguments(call.function.arguments)
+                    });
+                }
+                if (blocks.length > 0) {
+                    append('assistant', blocks);
+                }
+            } else if (message.content) {
+                append('user', [{ type: 'text', text: message.content }]);
+            }
+        }
+
+        return formatted;
+    },
+
+    buildRequest({ model, messages, tools, apiKey, maxTokens = 1024 }) {
+        const systemPrompt = systemPromptOf(messages);
+        const body = {
+            model: model,
+            max_tokens: maxTokens,
+            messages: this.formatMessages(messages)
+        };
+        if (systemPrompt) {
+            body.system = systemPrompt;
+        }
+        if (tools && tools.length > 0) {
+            body.tools = this.formatTools(tools);
+        }
+        return {
+            url: 'https://api.anthropic.com/v1/messages',
+            headers: {
+                'Content-Type': 'application/json',
+                'x-api-key': apiKey,
+                'anthropic-version': '2023-06-01',
+                // Required for calls made straight from the browser
+                'anthropic-dangerous-direct-browser-access': 'true'
+            },
+            body
+        };
+    },
+
+    parseResponse(data) {
+        const blocks = data.content || [];
+        return {
+            output: blocks.filter(b => b.type === 'text').map(b => b.text).join(''),
+            toolCalls: blocks.filter(b => b.type === 'tool_use'),
+            usage: data.usage ? {
+                inputTokens: data.usage.input_tokens || 0,
+                outputTokens: data.usage.output_tokens || 0
+            } : null,
+            model: data.model || null
+        };
+    },
+
+    normalizeToolCalls(toolCalls) {
+        // tool_use blocks carry { id, name, input }
+        return (toolCalls || []).map(block => ({
+            id: block.id,
+            type: 'function',
+            function: {
+                name: block.name,
+                arguments: JSON.stringify(block.input || {})
+            }
+        }));
+    },
+
+    mapError(error) {
+        if (error.status === 529) {
+            return 'Anthropic API is overloaded. Try again in a moment.';
+        }
+        return mapCommonError(error);
+    }
+});
+
+LLMProviders.register({
+    name: 'google',
+    label: 'Google',
+    apiKeyField: 'googleApiKey',
+    matchModel: model => model.includes('gemini'),
+
+    formatSchema(schema) {
+        // Gemini accepts an OpenAPI subset - drop keywords such as "default"
+        if (!schema || typeof schema !== 'object') return schema;
+        const formatted = {};
+        for (const key of ['type', 'format', 'description', 'nullable', 'enum', 'required']) {
+            if (schema[key] !== undefined) formatted[key] = schema[key];
+        }
+        if (schema.properties) {
+            formatted.properties = {};
+            for (const [name, property] of Object.entries(schema.properties)) {
+                formatted.properties[name] = this.formatSchema(property);
+            }
+        }
+        if (schema.items) {
+            formatted.items = this.formatSchema(schema.items);
+        }
+        return formatted;
+    },
+
+    formatTools(tools) {
+        return [{
+            function_declarations: tools.map(tool => ({
+                name: tool.function.name,
+                description: tool.function.description || '',
+                parameters: this.formatSchema(tool.function.parameters)
+            }))
+        }];
+    },
+
+    formatMessages(messages) {
+        // Assistant turns become 'model' turns with functionCall parts, and tool
+        // results go back as functionResponse parts on a 'user' turn. Gemini
+        // needs the function name on each response, so look it up by call id.
+        const formatted = [];
+        const callNames = new Map();
+        const append = (role, parts) => {
+            const last = formatted[formatted.length - 1];
+            if (last && last.role === role) {
+                last.parts.push(...parts);
+            } else {
+                formatted.push({ role, parts });
+            }
+        };
+
+        for (const message of messages) {
+            if (message.role === 'system') continue;
+
+            if (message.role === 'tool') {
+                const result = parseToolArguments(message.content);
+                append('user', [{
+                    functionResponse: {
+                        name: callNames.get(message.tool_call_id) || message.name || 'unknown',
+                        // The response must be an object
+                        response: result && typeof result === 'object' && !Array.isArray(result)
+                            ? result
+                            : { result: message.content }
+                    }
+                }]);
+            } else if (message.role === 'assistant') {
+                const parts = [];
+                if (message.content) {
+                    parts.push({ text: message.content });
+                }
+                for (const call of message.tool_calls || []) {
+                    callNames.set(call.id, call.function.name);
+                    parts.push({
+                        functionCall: {
+                            name: call.function.name,
+                            args: parseToolArguments(call.function.arguments)
+                        }
+                    });
+                }
+                if (parts.length > 0) {
+                    append('model', parts);
+                }
+            } else if (message.content) {
+                append('user', [{ text: message.content }]);
+            }
+        }
+
+        return formatted;
+    },
+
+    buildRequest({ model, messages, tools, apiKey, maxTokens }) {
+        const systemPrompt = systemPromptOf(messages);
+        const body = {
+            contents: this.formatMessages(messages)
+        };
+        if (maxTokens) {
+            body.generationConfig = { maxOutputTokens: maxTokens };
+        }
+        if (systemPrompt) {
+            body.systemInstruction = { parts: [{ text: systemPrompt }] };
+        }
+        if (tools && tools.length > 0) {
+            body.tools = this.formatTools(tools);
+        }
+
+        // AI Pipe keys go through AI Pipe's Gemini proxy, which speaks the same API
+        if (apiKey.startsWith('aip_')) {
+            return {
+                url: `https://aipipe.org/geminiv1beta/models/${model}:generateContent`,
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Authorization': `Bearer ${apiKey}`
+                },
+                body
+            };
+        }
+
+        return {
+            url: `https://generativelanguage.googleapis.com/v1beta/models/${model}:generateContent?key=${apiKey}`,
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body
+        };
+    },
+
+    parseResponse(data) {
+        const candidate = data.candidates?.[0];
+        if (!candidate) {
+            const reason = data.promptFeedback?.blockReason;
+            throw new Error(reason ? `Gemini blocked the prompt: ${reason}` : 'No candidates returned from Gemini');
+        }
+        const parts = candidate.content?.parts || [];
+        return {
+            output: parts.filter(p => p.text).map(p => p.text).join(''),
+            toolCalls: parts.filter(p => p.functionCall),
+            usage: data.usageMetadata ? {
+                inputTokens: data.usageMetadata.promptTokenCount || 0,
+                outputTokens: data.usageMetadata.candidatesTokenCount || 0
+            } : null,
+            model: data.modelVersion || null
+        };
+    },
+
+    normalizeToolCalls(toolCalls) {
+        // Gemini returns { functionCall: { name, args } } parts, usually without ids
+        return (toolCalls || []).map((part, index) => ({
+            id: part.functionCall.id || `call_${Date.now()}_${index}`,
+            type: 'function',
+            function: {
+                name: part.functionCall.name,
+                arguments: JSON.stringify(part.functionCall.args || {})
+            }
+        }));
+    }
+});
+
+LLMProviders.register({
+    // Any server speaking the OpenAI chat completions API: llama.cpp,
+    // Ollama, vLLM, LM Studio... The model name is passed through as typed.
+    name: 'custom',
+    label: 'Custom',
+    apiKeyField: 'customApiKey',
+    apiKeyOptional: true,
+    baseUrlField: 'customBaseUrl',
+
+    buildRequest({ model, messages, tools, apiKey, baseUrl, stream, maxTokens = 1000 }) {
+        const body = {
+            model: model,
+            messages: messages,
+            max_tokens: maxTokens
+        };
+        // Some local servers reject an empty tools list
+        if (tools && tools.length > 0) {
+            body.tools = tools;
+            body.tool_choice = 'auto';
+        }
+        if (stream) {
+            body.stream = true;
+            body.stream_options = { include_usage: true };
+        }
+        const headers = { 'Content-Type': 'application/json' };
+        if (apiKey) {
+            headers['Authorization'] = `Bearer ${apiKey}`;
+        }
+        return {
+            url: `${baseUrl.replace(/\/+$/, '')}/chat/completions`,
+            headers,
+            body
+        };
+    },
+
+    parseResponse(data) {
+        return parseOpenAIResponse(data, 'custom endpoint');
+    },
+
+    parseStream: readOpenAIStream,
+
+    mapError(error, { model, baseUrl }) {
+        if (error.status === 404) {
+            return `Model "${model}" or the chat completions route was not found at ${baseUrl}. Check the base URL (usually ending in /v1) and the model name.`;
+        }
+        return mapCommonError(error);
+    }
+});
+
+// Export for use in agent.js
+window.ProviderRegistry = ProviderRegistry;
+window.LLMProviders = LLMProviders;
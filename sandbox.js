@@ -0,0 +1,214 @@
+// Isolated JavaScript sandbox for the execute_javascript tool
+//
+// Code runs in a throwaway Web Worker: it has no DOM, no localStorage and no
+// access to the page's globals (API key inputs, agent state). Network and
+// storage APIs are removed inside the worker before the code runs. Dynamic
+// import() could still load a URL, so code that contains it is refused and
+// every way to compile a string later (eval, the Function constructors,
+// string timers) is disabled. The worker is terminated when the wall-clock timeout expires or the caller's
+// AbortSignal fires (Stop button, per-tool timeout).
+
+const SANDBOX_DEFAULT_TIMEOUT_MS = 5000;
+const SANDBOX_DEFAULT_MAX_OUTPUT = 10000;
+
+const SANDBOX_WORKER_SOURCE = `
+'use strict';
+
+// Best effort lockdown: strip network and storage APIs from the worker scope
+const blocked = ['fetch', 'XMLHttpRequest', 'WebSocket', 'EventSource', 'indexedDB', 'caches',
+    'importScripts', 'BroadcastChannel', 'Worker', 'SharedWorker', 'navigator'];
+for (const name of blocked) {
+    let target = self;
+    while (target) {
+        try { delete target[name]; } catch (e) {}
+        target = Object.getPrototypeOf(target);
+    }
+    try { Object.defineProperty(self, name, { value: undefined, writable: false, configurable: false }); } catch (e) {}
+}
+
+// Compile user code with this, then close every other route from a string
+// to code, so import() cannot be assembled at run time
+const AsyncFunction = Object.getPrototypeOf(async function () {}).constructor;
+const refuse = () => { throw new Error('Compiling code from strings is disabled in the sandbox'); };
+for (const fn of [function () {}, async function () {}, function* () {}, async function* () {}]) {
+    try { Object.defineProperty(Object.getPrototypeOf(fn), 'constructor', { value: refuse }); } catch (e) {}
+}
+for (const name of ['eval', 'Function']) {
+    try { Object.defineProperty(self, name, { value: refuse, writable: false, configurable: false }); } catch (e) {}
+}
+for (const name of ['setTimeout', 'setInterval']) {
+    const timer = self[name];
+    if (typeof timer !== 'function') continue;
+    self[name] = (callback, ...rest) => {
+        if (typeof callback !== 'function') refuse();
+        return timer(callback, ...rest);
+    };
+}
+const DYNAMIC_IMPORT = /(^|[^.\\w$])import\\s*(\\(|\\/[*\\/])/;
+
+const send = self.postMessage.bind(self);
+
+function formatValue(value) {
+    if (typeof value === 'string') return value;
+    if (value instanceof Error) return value.name + ': ' + value.message;
+    try {
+        const json = JSON.stringify(value);
+        return json === undefined ? String(value) : json;
+    } catch (e) {
+        return String(value);
+    }
+}
+
+function toTransferable(value, maxLength) {
+    // Results cross the worker boundary as plain JSON data, capped like the
+    // printed output; a result over the cap is sent as its cut serialization
+    if (value === undefined) return { value: undefined, truncated: false };
+    let json;
+    try {
+        json = JSON.stringify(value);
+    } catch (e) {
+        json = undefined;
+    }
+    const text = json === undefined ? String(value) : json;
+    if (text.length > maxLength) {
+        return { value: text.slice(0, maxLength), truncated: true };
+    }
+    return { value: json === undefined ? text : JSON.parse(json), truncated: false };
+}
+
+self.onmessage = async (event) => {
+    const { code, maxOutputLength } = event.data;
+    let outputLength = 0;
+    let truncated = false;
+
+    const write = (text) => {
+        if (truncated) return;
+        if (outputLength + text.length > maxOutputLength) {
+            text = text.slice(0, Math.max(0, maxOutputLength - outputLength));
+            truncated = true;
+        }
+        outputLength += text.length;
+        send({ type: 'output', text: text, truncated: truncated });
+    };
+
+    const log = (prefix) => (...args) => write(prefix + args.map(formatValue).join(' '));
+    self.console = {
+        log: log(''),
+        info: log(''),
+        debug: log(''),
+        warn: log('WARN: '),
+        error: log('ERROR: ')
+    };
+
+    try {
+        if (DYNAMIC_IMPORT.test(code)) {
+            throw new Error('import() is not available in the sandbox');
+        }
+        const result = await new AsyncFunction(code)();
+        if (result !== undefined) {
+            write('Return value: ' + formatValue(result));
+        }
+        const capped = toTransferable(result, maxOutputLength);
+        send({ type: 'done', success: true, result: capped.value, truncated: capped.truncated });
+    } catch (error) {
+        send({ type: 'done', success: false, error: error && error.message ? error.message : String(error) });
+    }
+};
+`;
+
+class CodeSandbox {
+    constructor(options = {}) {
+        this.timeoutMs = options.timeoutMs || SANDBOX_DEFAULT_TIMEOUT_MS;
+        this.maxOutputLength = options.maxOutputLength || SANDBOX_DEFAULT_MAX_OUTPUT;
+        this.workerUrl = null;
+    }
+
+    createWorker() {
+        if (!this.workerUrl) {
+            const blob = new Blob([SANDBOX_WORKER_SOURCE], { type: 'text/javascript' });
+            this.workerUrl = URL.createObjectURL(blob);
+        }
+        return new Worker(this.workerUrl);
+    }
+
+    run(code, { signal = null } = {}) {
+        // Resolves with { success, output, result, error, truncated }; never
+        // rejects. truncated is set when the output or result hit the cap
+        return new Promise((resolve) => {
+            const outputLines = [];
+            let truncated = false;
+            let finished = false;
+            let worker;
+            let timer;
+
+            const onAbort = () => {
+                finish({
+                    success: false,
+                    error: `Execution stopped: ${signal.reason?.message || 'aborted'}`
+                });
+            };
+
+            const finish = (result) => {
+                if (finished) return;
+                finished = true;
+                clearTimeout(timer);
+                if (signal) signal.removeEventListener('abort', onAbort);
+                if (worker) worker.terminate();
+
+                let output = outputLines.join('\n');
+                if (truncated) {
+                    output += `\n... [output truncated at ${this.maxOutputLength} characters]`;
+                }
+                resolve({
+                    success: result.success,
+                    output: output,
+                    result: result.result,
+                    error: result.error || null,
+                    truncated: truncated || Boolean(result.truncated)
+                });
+            };
+
+            try {
+                worker = this.createWorker();
+            } catch (error) {
+                finish({ success: false, error: `Sandbox unavailable: ${error.message}` });
+                return;
+            }
+
+            timer = setTimeout(() => {
+                finish({
+                    success: false,
+                    error: `Execution timed out after ${this.timeoutMs} ms and was stopped`
+                });
+            }, this.timeoutMs);
+
+            if (signal) {
+                if (signal.aborted) {
+                    onAbort();
+                    return;
+                }
+                signal.addEventListener('abort', onAbort, { once: true });
+            }
+
+            worker.onmessage = (event) => {
+                const message = event.data;
+                if (message.type === 'output') {
+                    outputLines.push(message.text);
+                    truncated = truncated || message.truncated;
+                } else if (message.type === 'done') {
+                    finish(message);
+                }
+            };
+
+            worker.onerror = (event) => {
+                event.preventDefault();
+                finish({ success: false, error: event.message || 'Sandbox error' });
+            };
+
+            worker.postMessage({ code: code, maxOutputLength: this.maxOutputLength });
+        });
+    }
+}
+
+// Export for use in tools.js
+window.CodeSandbox = CodeSandbox;
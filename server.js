@@ -0,0 +1,330 @@
+// Optional proxy server for LLM Agent POC
+//
+// Serves the app and forwards LLM and search calls to the vendors with API
+// keys that stay on the server, so the browser never sees them and CORS is
+// not an issue. Node 20+, no dependencies:
+//
+//   node server.js                     uses ./proxy.config.json if present
+//   node server.js --config my.json    or LLM_AGENT_CONFIG=my.json
+//
+// Keys come from the config file (same names as the settings in the page)
+// or the environment, which wins: OPENAI_API_KEY, ANTHROPIC_API_KEY,
+// GOOGLE_API_KEY, AIPIPE_API_KEY, GOOGLE_SEARCH_ENGINE_ID, plus PORT, HOST,
+// ALLOWED_ORIGINS (comma separated, for pages served from elsewhere) and
+// ALLOWED_HOSTS (extra host names the server is reached by, e.g. a LAN name).
+//
+// Only requests addressed to a known host name are answered, which stops DNS
+// rebinding, and /api/* calls must carry an X-LLM-Agent header. A plain link,
+// image or form from another site cannot set it, and pages from other
+// origins can only send it after a CORS preflight that allowedOrigins
+// controls.
+//
+// Routes:
+//   GET  /api/proxy                  { providers, search } that have keys
+//   POST /api/chat/:provider?model=  provider request body, answered as-is
+//   GET  /api/search?q=&num=         Google Custom Search JSON
+//   GET  /*                          the app's static files
+
+const fs = require('node:fs');
+const http = require('node:http');
+const path = require('node:path');
+const { Readable } = require('node:stream');
+
+const ROOT = __dirname;
+const DEFAULT_CONFIG_FILE = 'proxy.config.json';
+const MAX_BODY_BYTES = 5 * 1024 * 1024;
+const API_HEADER = 'x-llm-agent';
+
+// Only these file types are served, so the config file, logs and dotfiles
+// never leave the server
+const STATIC_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.md': 'text/markdown; charset=utf-8',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png',
+    '.ico': 'image/x-icon'
+};
+
+// Upstream per provider; the URLs are fixed so the proxy cannot be used to
+// send the keys anywhere else
+const UPSTREAMS = {
+    openai: {
+        label: 'OpenAI',
+        keyField: 'openaiApiKey',
+        url: () => 'https://api.openai.com/v1/chat/completions',
+        headers: key => ({ 'Authorization': `Bearer ${key}` })
+    },
+    aipipe: {
+        label: 'AI Pipe',
+        keyField: 'aipipeApiKey',
+        url: () => 'https://aipipe.org/openrouter/v1/chat/completions',
+        headers: key => ({ 'Authorization': `Bearer ${key}` })
+    },
+    anthropic: {
+        label: 'Anthropic',
+        keyField: 'anthropicApiKey',
+        url: () => 'https://api.anthropic.com/v1/messages',
+        headers: key => ({ 'x-api-key': key, 'anthropic-version': '2023-06-01' })
+    },
+    google: {
+        label: 'Google',
+        keyField: 'googleApiKey',
+        url: (model, key) => `https://generativelanguage.googleapis.com/v1beta/models/${model}:generateContent?key=${encodeURIComponent(key)}`,
+        headers: () => ({})
+    }
+};
+
+const ENV_KEYS = {
+    OPENAI_API_KEY: 'openaiApiKey',
+    ANTHROPIC_API_KEY: 'anthropicApiKey',
+    GOOGLE_API_KEY: 'googleApiKey',
+    AIPIPE_API_KEY: 'aipipeApiKey',
+    GOOGLE_SEARCH_ENGINE_ID: 'googleSearchEngineId',
+    PORT: 'port',
+    HOST: 'host'
+};
+
+function loadProxyConfig({ env = process.env, argv = process.argv.slice(2), cwd = process.cwd() } = {}) {
+    // Config file first, environment on top; a missing default file is fine
+    const flagIndex = argv.indexOf('--config');
+    const explicitFile = flagIndex >= 0 ? argv[flagIndex + 1] : env.LLM_AGENT_CONFIG;
+    const file = path.resolve(cwd, explicitFile || DEFAULT_CONFIG_FILE);
+
+    let config = {};
+    if (fs.existsSync(file)) {
+        try {
+            config = JSON.parse(fs.readFileSync(file, 'utf8'));
+        } catch (error) {
+            throw new Error(`Could not read ${file}: ${error.message}`);
+        }
+    } else if (explicitFile) {
+        throw new Error(`Config file not found: ${file}`);
+    }
+
+    for (const [name, field] of Object.entries(ENV_KEYS)) {
+        if (env[name]) config[field] = env[name];
+    }
+    const list = (text) => text.split(',').map(item => item.trim()).filter(Boolean);
+    if (env.ALLOWED_ORIGINS) {
+        config.allowedOrigins = list(env.ALLOWED_ORIGINS);
+    }
+    if (env.ALLOWED_HOSTS) {
+        config.allowedHosts = list(env.ALLOWED_HOSTS);
+    }
+
+    return {
+        ...config,
+        port: parseInt(config.port, 10) || 8787,
+        host: config.host || '127.0.0.1',
+        allowedOrigins: config.allowedOrigins || [],
+        allowedHosts: config.allowedHosts || []
+    };
+}
+
+function createProxyServer(config, { fetch = globalThis.fetch } = {}) {
+    return http.createServer(async (req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+        try {
+            const api = url.pathname.startsWith('/api/');
+            if (!isKnownHost(req, config)) {
+                sendJson(res, 403, { error: { message: 'Host not allowed' } });
+            } else if (!applyCors(req, res, config)) {
+                sendJson(res, 403, { error: { message: 'Origin not allowed' } });
+            } else if (req.method === 'OPTIONS') {
+                res.writeHead(204);
+                res.end();
+            } else if (api && !req.headers[API_HEADER]) {
+                sendJson(res, 403, { error: { message: 'Missing X-LLM-Agent header' } });
+            } else if (url.pathname === '/api/proxy' && req.method === 'GET') {
+                sendJson(res, 200, {
+                    providers: Object.keys(UPSTREAMS).filter(name => config[UPSTREAMS[name].keyField]),
+                    search: Boolean(config.googleApiKey && config.googleSearchEngineId)
+                });
+            } else if (url.pathname.startsWith('/api/chat/') && req.method === 'POST') {
+                await proxyChat(req, res, url, config, fetch);
+            } else if (url.pathname === '/api/search' && req.method === 'GET') {
+                await proxySearch(req, res, url, config, fetch);
+            } else if (url.pathname.startsWith('/api/')) {
+                sendJson(res, 404, { error: { message: `No route for ${req.method} ${url.pathname}` } });
+            } else if (req.method === 'GET' || req.method === 'HEAD') {
+                serveStatic(req, res, url);
+            } else {
+                sendJson(res, 405, { error: { message: 'Method not allowed' } });
+            }
+        } catch (error) {
+            console.error(`${req.method} ${url.pathname} failed:`, error.message);
+            if (!res.headersSent) {
+                sendJson(res, error.status || 502, { error: { message: error.message } });
+            } else {
+                res.destroy();
+            }
+        }
+        console.log(`${req.method} ${url.pathname} ${res.statusCode}`);
+    });
+}
+
+function isKnownHost(req, config) {
+    // The Host header must name this server: the bound host or loopback on
+    // the port it listens on, or a host listed in allowedHosts
+    const port = req.socket.localPort;
+    const names = [config.host, 'localhost', '127.0.0.1', '[::1]', ...(config.allowedHosts || [])];
+    const host = String(req.headers.host || '').toLowerCase();
+    return names.some(name => {
+        const expected = String(name).toLowerCase();
+        return host === `${expected}:${port}` || (port === 80 && host === expected);
+    });
+}
+
+function applyCors(req, res, config) {
+    // Same-origin requests carry the server's own Origin or none at all;
+    // other origins must be listed, or any page could spend the keys
+    const origin = req.headers.origin;
+    const listed = Boolean(origin) && (config.allowedOrigins.includes(origin) || config.allowedOrigins.includes('*'));
+    if (!listed && req.headers['sec-fetch-site'] === 'cross-site') return false;
+    if (!origin || origin === `http://${req.headers.host}` || origin === `https://${req.headers.host}`) return true;
+    if (!listed) return false;
+
+    res.setHeader('Access-Control-Allow-Origin', origin);
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, X-LLM-Agent');
+    res.setHeader('Vary', 'Origin');
+    return true;
+}
+
+async function proxyChat(req, res, url, config, fetch) {
+    const provider = url.pathname.slice('/api/chat/'.length);
+    const upstream = Object.hasOwn(UPSTREAMS, provider) ? UPSTREAMS[provider] : null;
+    if (!upstream) {
+        sendJson(res, 404, { error: { message: `Unknown provider "${provider}"` } });
+        return;
+    }
+    const key = config[upstream.keyField];
+    if (!key) {
+        sendJson(res, 501, { error: { message: `No ${upstream.label} API key is configured on the proxy` } });
+        return;
+    }
+    const model = url.searchParams.get('model') || '';
+    if (provider === 'google' && !/^[\w.-]+$/.test(model)) {
+        sendJson(res, 400, { error: { message: 'A valid model query parameter is required for Google' } });
+        return;
+    }
+
+    const body = await readBody(req);
+    await forward(req, res, fetch, upstream.url(model, key), {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...upstream.headers(key) },
+        body
+    });
+}
+
+async function proxySearch(req, res, url, config, fetch) {
+    if (!config.googleApiKey || !config.googleSearchEngineId) {
+        sendJson(res, 501, { error: { message: 'No Google API key and Search Engine ID are configured on the proxy' } });
+        return;
+    }
+    const query = url.searchParams.get('q');
+    if (!query) {
+        sendJson(res, 400, { error: { message: 'The q query parameter is required' } });
+        return;
+    }
+    const num = Math.min(Math.max(parseInt(url.searchParams.get('num'), 10) || 10, 1), 10);
+    const searchUrl = 'https://www.googleapis.com/customsearch/v1' +
+        `?key=${encodeURIComponent(config.googleApiKey)}&cx=${encodeURIComponent(config.googleSearchEngineId)}` +
+        `&q=${encodeURIComponent(query)}&num=${num}`;
+    await forward(req, res, fetch, searchUrl, { method: 'GET' });
+}
+
+async function forward(req, res, fetch, target, init) {
+    // Pass the vendor's status and body through unchanged; streamed replies
+    // are piped as they arrive. Closing the page cancels the upstream call.
+    const controller = new AbortController();
+    res.on('close', () => controller.abort());
+
+    let response;
+    try {
+        response = await fetch(target, { ...init, signal: controller.signal });
+    } catch (error) {
+        if (controller.signal.aborted) return;
+        const failure = new Error(`Upstream request failed: ${error.message}`);
+        failure.status = 502;
+        throw failure;
+    }
+
+    const headers = { 'Content-Type': response.headers.get('content-type') || 'application/json' };
+    const retryAfter = response.headers.get('retry-after');
+    if (retryAfter) headers['Retry-After'] = retryAfter;
+    res.writeHead(response.status, headers);
+
+    if (!response.body) {
+        res.end();
+        return;
+    }
+    Readable.fromWeb(response.body)
+        .on('error', () => res.destroy())
+        .pipe(res);
+    await new Promise(resolve => res.on('close', resolve));
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                const error = new Error('Request body too large');
+                error.status = 413;
+                reject(error);
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => resolve(Buffer.concat(chunks)));
+        req.on('error', reject);
+    });
+}
+
+function serveStatic(req, res, url) {
+    let pathname;
+    try {
+        pathname = decodeURIComponent(url.pathname);
+    } catch (error) {
+        sendJson(res, 400, { error: { message: 'Bad path' } });
+        return;
+    }
+    if (pathname.endsWith('/')) pathname += 'index.html';
+
+    const file = path.join(ROOT, pathname);
+    const type = STATIC_TYPES[path.extname(file).toLowerCase()];
+    const hidden = path.relative(ROOT, file).split(path.sep).some(part => part.startsWith('.'));
+    if (!file.startsWith(ROOT + path.sep) || hidden || !type || !fs.existsSync(file) || !fs.statSync(file).isFile()) {
+        sendJson(res, 404, { error: { message: 'Not found' } });
+        return;
+    }
+
+    res.writeHead(200, { 'Content-Type': type });
+    if (req.method === 'HEAD') {
+        res.end();
+        return;
+    }
+    fs.createReadStream(file).pipe(res);
+}
+
+function sendJson(res, status, data) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(data));
+}
+
+if (require.main === module) {
+    const config = loadProxyConfig();
+    createProxyServer(config).listen(config.port, config.host, () => {
+        const providers = Object.values(UPSTREAMS).filter(upstream => config[upstream.keyField]).map(upstream => upstream.label);
+        console.log(`LLM Agent proxy on http://${config.host}:${config.port}`);
+        console.log(`Providers with keys: ${providers.join(', ') || 'none'}; search: ${config.googleApiKey && config.googleSearchEngineId ? 'yes' : 'no'}`);
+    });
+}
+
+module.exports = { createProxyServer, loadProxyConfig };
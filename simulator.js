@@ -0,0 +1,376 @@
+// Scenario-driven simulation mode for LLM Agent POC
+//
+// When no API key is configured the agent answers from a scenario instead of
+// a real model. A scenario is a JSON document with an ordered list of rules;
+// the first rule whose conditions match the last message wins:
+//
+//   {
+//     "format": "llm-agent-scenario", "version": 1, "name": "...",
+//     "delayMs": 1000,
+//     "rules": [{
+//       "name": "search",
+//       "when": { "role": "user", "contains": ["search for"] },
+//       "extract": { "query": "search for\\s+(.+)" },
+//       "reply": "I'll search for \"{{query}}\".",
+//       "toolCalls": [{ "name": "google_search", "arguments": { "query": "{{query}}" } }]
+//     }]
+//   }
+//
+// Conditions in "when" (all optional, all must hold):
+//   role            "user" (default) or "tool" - role of the last message
+//   tool            tool name, when role is "tool"
+//   contains        any of these strings appears in the message (case-insensitive)
+//   containsAll     all of these strings appear in the message
+//   pattern         regular expression tested against the message (case-insensitive)
+//   historyContains any of these strings appears in the earlier conversation
+//   minLength / maxLength  bounds on the message length
+//
+// Replies and tool call arguments are templates. {{message}} is the last
+// message text, {{userMessage}} the last user turn, {{name}} an "extract"
+// variable (group 1 of the first matching regex), {{tool}} the tool name,
+// {{result.path}} a field of the parsed tool result and {{formatted}} the
+// tool result as shown in the tool-result card. {{name|fallback}} uses the fallback when the value is
+// empty. A "reply" array is used in turn each time the rule matches. Rules
+// that call a tool which is not enabled are skipped.
+
+const SCENARIO_FORMAT = 'llm-agent-scenario';
+const SCENARIO_VERSION = 1;
+
+const SEARCH_PHRASES = ['search for', 'google for', 'find information about', 'look up'];
+
+const DEFAULT_SCENARIO = {
+    format: SCENARIO_FORMAT,
+    version: SCENARIO_VERSION,
+    name: 'Built-in demo',
+    delayMs: 1000,
+    rules: [
+        {
+            name: 'tool error',
+            when: { role: 'tool', pattern: '^\\{"error":\\s*true' },
+            reply: 'The {{tool}} tool reported an error: {{result.message|{{formatted}}}}\n\nYou can check the configuration and ask me to try again.'
+        },
+        {
+            name: 'search results',
+            when: { role: 'tool', tool: 'google_search' },
+            reply: 'Here are the search results for "{{result.query}}":\n\n{{formatted}}\n\nThese results show the latest information about your search. Is there anything specific you\'d like me to help you with from these results?'
+        },
+        {
+            name: 'workflow results',
+            when: { role: 'tool', tool: 'aipipe_workflow' },
+            reply: 'AI Pipe {{result.workflow}} completed:\n\n{{result.output|{{formatted}}}}\n\nThe analysis is complete. Is there anything else you\'d like me to process or analyze?'
+        },
+        {
+            name: 'code results',
+            when: { role: 'tool', tool: 'execute_javascript' },
+            reply: '{{formatted}}\n\nThe code has been executed. Would you like to run more code or try something else?'
+        },
+        {
+            name: 'other tool results',
+            when: { role: 'tool' },
+            reply: 'The tool has finished. Here is what it returned:\n\n{{formatted}}'
+        },
+        {
+            name: 'start interview',
+            when: {
+                containsAll: ['interview'],
+                contains: ['javascript', 'js', 'web development', 'development skills', 'programming']
+            },
+            reply: 'I\'d be happy to conduct a JavaScript interview with you! Let\'s start with some fundamental questions:\n\n**Question 1:** Can you explain the difference between `let`, `const`, and `var` in JavaScript?\n\n**Question 2:** What is hoisting in JavaScript? Can you give an example?\n\n**Question 3:** Explain what a closure is in JavaScript and provide a simple example.\n\nPlease answer these questions one by one, and I\'ll provide follow-up questions based on your responses. Let\'s start with Question 1 about variable declarations.'
+        },
+        {
+            name: 'interview ready',
+            when: { historyContains: ['interview'], contains: ['yes'], maxLength: 9 },
+            reply: 'Perfect! Let\'s begin the JavaScript interview.\n\n**Question 1:** What are the different data types in JavaScript? Please list the primitive types and explain the difference between primitive and non-primitive types.\n\n**Question 2:** Can you explain what "hoisting" means in JavaScript? Give an example of how it works with variables and functions.\n\nPlease start with Question 1 - I\'m looking for a comprehensive answer about JavaScript data types.'
+        },
+        {
+            name: 'interview answer',
+            when: { historyContains: ['interview'], minLength: 21 },
+            reply: [
+                'Great answer! I can see you understand JavaScript fundamentals. Let me ask you a follow-up question:\n\n**Next Question:** Can you explain the concept of "this" in JavaScript? How does the value of "this" change in different contexts (global scope, function calls, arrow functions, event handlers)?\n\nAlso, could you write a simple example demonstrating how "this" behaves differently in a regular function vs an arrow function?',
+                'Thank you for your response! Based on your answer, I can see you have a good understanding of JavaScript concepts.\n\n**Follow-up Question:** Can you explain the difference between synchronous and asynchronous programming in JavaScript? How do you handle asynchronous operations using callbacks, promises, and async/await?\n\nPlease provide examples if possible.'
+            ]
+        },
+        {
+            name: 'search without a query',
+            when: { pattern: `^\\W*(${SEARCH_PHRASES.join('|')})\\W*\\w{0,2}\\W*$` },
+            reply: 'I\'d be happy to search for you! Please provide a more specific search term. For example: "Search for React best practices" or "Find information about JavaScript frameworks".'
+        },
+        {
+            name: 'search',
+            when: { contains: SEARCH_PHRASES },
+            extract: { query: `(?:${SEARCH_PHRASES.join('|')})\\s+(.+?)[.?!]*$` },
+            reply: 'I\'ll search for information about "{{query}}".',
+            toolCalls: [{ name: 'google_search', arguments: { query: '{{query}}' } }]
+        },
+        {
+            name: 'run code',
+            when: { contains: ['code', 'javascript', 'run', 'execute'] },
+            extract: { code: ['```(?:javascript|js)?\\n([\\s\\S]*?)\\n?```', '`([^`]+)`'] },
+            reply: 'I\'ll execute this JavaScript code for you.',
+            toolCalls: [{ name: 'execute_javascript', arguments: { code: '{{code|console.log("Hello, World!");}}' } }]
+        },
+        {
+            name: 'summarize',
+            when: { contains: ['summarize'] },
+            reply: 'I\'ll use AI Pipe to summarize this content.',
+            toolCalls: [{ name: 'aipipe_workflow', arguments: { workflow: 'summarize', data: '{{message}}', pipeline: 'default' } }]
+        },
+        {
+            name: 'analyze',
+            when: { contains: ['analyze', 'process', 'workflow'] },
+            reply: 'I\'ll use AI Pipe to analyze this content.',
+            toolCalls: [{ name: 'aipipe_workflow', arguments: { workflow: 'analyze', data: '{{message}}', pipeline: 'default' } }]
+        },
+        {
+            name: 'explain',
+            when: { contains: ['explain', 'what is', 'how does', 'difference between'] },
+            reply: 'That\'s a great question! To give you the most accurate and up-to-date information, let me search for that: "{{message}}". This will help me provide you with comprehensive details.',
+            toolCalls: [{ name: 'google_search', arguments: { query: '{{message}}' } }]
+        },
+        {
+            name: 'help',
+            when: { contains: ['help', 'what can you do', 'capabilities'] },
+            reply: 'I\'m here to help! I can assist you with:\n\n🔍 **Search & Research**: I can search Google for any information you need\n\n🤖 **AI Analysis**: I can analyze, summarize, or process text using AI workflows\n\n💻 **Code Execution**: I can run JavaScript code and show you the results\n\n🎓 **Learning & Interviews**: I can conduct technical interviews, explain concepts, or help with learning\n\n📊 **Data Processing**: I can help transform, extract, or classify data\n\nWhat would you like to explore? Just ask me naturally, like:\n- "Search for the latest React.js trends"\n- "Analyze this code snippet"\n- "Interview me on Python basics"\n- "Explain how async/await works"'
+        },
+        {
+            name: 'interview follow-up',
+            when: { historyContains: ['interview'], minLength: 11 },
+            reply: 'Thank you for your response! Based on your answer, I can see you have a good understanding of JavaScript concepts.\n\n**Follow-up Question:** Can you explain the difference between synchronous and asynchronous programming in JavaScript? How do you handle asynchronous operations using callbacks, promises, and async/await?\n\nPlease provide examples if possible.'
+        },
+        {
+            name: 'fallback',
+            when: {},
+            reply: 'I understand you\'re asking about "{{message}}". I\'m an AI agent that can help you with various tasks.\n\nBased on your question, I can:\n• **Search** for more information about this topic\n• **Analyze** the content in detail\n• **Help** you explore this further\n\nWould you like me to search for more information about "{{message}}", or is there something specific you\'d like me to help you with?'
+        }
+    ]
+};
+
+class ScenarioSimulator {
+    constructor(scenario = DEFAULT_SCENARIO) {
+        this.scenario = scenario;
+        this.matchCounts = new Map();
+    }
+
+    static parse(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new Error(`Not a valid JSON file (${error.message})`);
+        }
+        if (!data || data.format !== SCENARIO_FORMAT) {
+            throw new Error(`Not a simulation scenario (expected "format": "${SCENARIO_FORMAT}")`);
+        }
+        if (typeof data.version !== 'number' || data.version > SCENARIO_VERSION) {
+            throw new Error(`Unsupported scenario version ${data.version}`);
+        }
+        if (!Array.isArray(data.rules) || data.rules.length === 0) {
+            throw new Error('Scenario has no rules');
+        }
+
+        data.rules.forEach((rule, index) => {
+            const label = rule && rule.name ? `Rule "${rule.name}"` : `Rule ${index + 1}`;
+            if (!rule || (rule.reply === undefined && !rule.toolCalls)) {
+                throw new Error(`${label} needs a reply or toolCalls`);
+            }
+            const when = rule.when || {};
+            if (when.role && !['user', 'tool'].includes(when.role)) {
+                throw new Error(`${label} has an invalid role "${when.role}"`);
+            }
+            const patterns = [when.pattern, ...Object.values(rule.extract || {}).flat()].filter(Boolean);
+            for (const pattern of patterns) {
+                try {
+                    new RegExp(pattern, 'i');
+                } catch (error) {
+                    throw new Error(`${label} has an invalid pattern: ${error.message}`);
+                }
+            }
+            for (const call of rule.toolCalls || []) {
+                if (!call || !call.name) {
+                    throw new Error(`${label} has a tool call without a name`);
+                }
+            }
+        });
+
+        return new ScenarioSimulator(data);
+    }
+
+    get name() {
+        return this.scenario.name || 'Unnamed scenario';
+    }
+
+    get delayMs() {
+        return typeof this.scenario.delayMs === 'number' ? this.scenario.delayMs : 1000;
+    }
+
+    reset() {
+        this.matchCounts.clear();
+    }
+
+    respond(messages, { toolNames = [], formatResult = null } = {}) {
+        // Returns { output, toolCalls, rule } in the same shape as callLLM
+        const context = this.buildContext(messages, formatResult);
+
+        for (const rule of this.scenario.rules) {
+            const calls = rule.toolCalls || [];
+            if (calls.some(call => !toolNames.includes(call.name))) continue;
+            if (!this.matches(rule.when || {}, context)) continue;
+
+            const variables = { ...context.variables, ...this.extract(rule.extract || {}, context.text) };
+            const count = this.matchCounts.get(rule) || 0;
+            this.matchCounts.set(rule, count + 1);
+
+            const replies = Array.isArray(rule.reply) ? rule.reply : [rule.reply || ''];
+            const reply = replies[Math.min(count, replies.length - 1)];
+
+            return {
+                output: fillTemplate(reply, variables),
+                toolCalls: calls.map((call, index) => ({
+                    id: `call_${Date.now()}_${index}`,
+                    type: 'function',
+                    function: {
+                        name: call.name,
+                        arguments: JSON.stringify(fillTemplateValue(call.arguments || {}, variables))
+                    }
+                })),
+                rule: rule.name || null
+            };
+        }
+
+        return {
+            output: `Simulation: no rule in scenario "${this.name}" matched the last message.`,
+            toolCalls: [],
+            rule: null
+        };
+    }
+
+    buildContext(messages, formatResult) {
+        const last = messages[messages.length - 1] || {};
+        const role = last.role === 'tool' ? 'tool' : 'user';
+        const text = typeof last.content === 'string' ? last.content : '';
+        const lastUser = messages.filter(msg => msg.role === 'user').pop();
+
+        // Earlier user/assistant turns, for historyContains
+        const history = messages.slice(0, -1)
+            .filter(msg => msg.role === 'user' || msg.role === 'assistant')
+            .slice(-4)
+            .map(msg => msg.content || '')
+            .join('\n');
+
+        const variables = { message: text, userMessage: lastUser?.content || '' };
+        let tool = null;
+
+        if (role === 'tool') {
+            const call = messages
+                .flatMap(msg => msg.tool_calls || [])
+                .find(toolCall => toolCall.id === last.tool_call_id);
+            tool = call ? call.function.name : null;
+
+            let result = text;
+            try {
+                result = JSON.parse(text);
+            } catch (e) {
+                // Keep plain-text tool results as they are
+            }
+            variables.tool = tool;
+            variables.result = result;
+            variables.formatted = formatResult && tool ? formatResult(tool, result) : text;
+        }
+
+        return { role, tool, text, history, variables };
+    }
+
+    matches(when, context) {
+        const text = context.text.toLowerCase();
+        const history = context.history.toLowerCase();
+        const list = (value) => (Array.isArray(value) ? value : [value]).map(item => String(item).toLowerCase());
+
+        if ((when.role || 'user') !== context.role) return false;
+        if (when.tool && when.tool !== context.tool) return false;
+        if (when.contains && !list(when.contains).some(term => text.includes(term))) return false;
+        if (when.containsAll && !list(when.containsAll).every(term => text.includes(term))) return false;
+        if (when.historyContains && !list(when.historyContains).some(term => history.includes(term))) return false;
+        if (when.pattern && !new RegExp(when.pattern, 'i').test(context.text)) return false;
+        if (typeof when.minLength === 'number' && context.text.length < when.minLength) return false;
+        if (typeof when.maxLength === 'number' && context.text.length > when.maxLength) return false;
+        return true;
+    }
+
+    extract(extractors, text) {
+        const values = {};
+        for (const [name, patterns] of Object.entries(extractors)) {
+            for (const pattern of Array.isArray(patterns) ? patterns : [patterns]) {
+                const match = text.match(new RegExp(pattern, 'i'));
+                if (match) {
+                    values[name] = (match[1] !== undefined ? match[1] : match[0]).trim();
+                    break;
+                }
+            }
+        }
+        return values;
+    }
+}
+
+function fillTemplate(template, variables) {
+    // Single pass so that substituted values are never expanded again;
+    // fallbacks may themselves contain placeholders
+    const text = String(template);
+    let output = '';
+    let index = 0;
+
+    while (index < text.length) {
+        const open = text.indexOf('{{', index);
+        if (open === -1) break;
+        output += text.slice(index, open);
+
+        // Find the matching }} allowing nested placeholders in the fallback
+        let depth = 1;
+        let cursor = open + 2;
+        while (cursor < text.length && depth > 0) {
+            if (text.startsWith('{{', cursor)) {
+                depth++;
+                cursor += 2;
+            } else if (text.startsWith('}}', cursor)) {
+                depth--;
+                cursor += 2;
+            } else {
+                cursor++;
+            }
+        }
+        if (depth > 0) {
+            // Unbalanced braces are left as written
+            output += text.slice(open);
+            return output;
+        }
+
+        const expression = text.slice(open + 2, cursor - 2);
+        const separator = expression.indexOf('|');
+        const path = (separator === -1 ? expression : expression.slice(0, separator)).trim();
+        const value = lookupPath(variables, path);
+        if (value === undefined || value === null || value === '') {
+            output += separator === -1 ? '' : fillTemplate(expression.slice(separator + 1), variables);
+        } else {
+            output += typeof value === 'string' ? value : JSON.stringify(value);
+        }
+        index = cursor;
+    }
+
+    return output + text.slice(index);
+}
+
+function fillTemplateValue(value, variables) {
+    if (typeof value === 'string') return fillTemplate(value, variables);
+    if (Array.isArray(value)) return value.map(item => fillTemplateValue(item, variables));
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, fillTemplateValue(item, variables)]));
+    }
+    return value;
+}
+
+function lookupPath(object, path) {
+    return path.split('.').reduce((value, key) => (value === undefined || value === null ? undefined : value[key]), object);
+}
+
+// Export for use in agent.js
+window.ScenarioSimulator = ScenarioSimulator;
+window.DEFAULT_SCENARIO = DEFAULT_SCENARIO;
@@ -0,0 +1,826 @@
+// Headless tests for the agent loop and message cleaning
+// Run with: node --test tests/
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    loadAgent,
+    createAgent,
+    mockFetch,
+    hangingResponse,
+    jsonResponse,
+    sseResponse,
+    openAIReply,
+    toolCall,
+    plain
+} = require('./helpers');
+
+test('cleanMessagesForAPI keeps answered tool calls and drops local metadata', () => {
+    const { agent } = createAgent(loadAgent());
+    const cleaned = agent.cleanMessagesForAPI([
+        { role: 'user', content: 'hi', timestamp: 't1' },
+        { role: 'assistant', content: null, model: 'gpt-4o-mini', tool_calls: [toolCall('a', 'google_search', { query: 'x' })] },
+        { role: 'tool', tool_call_id: 'a', content: '{}', timestamp: 't2' },
+        { role: 'assistant', content: 'done', model: 'gpt-4o-mini' }
+    ]);
+
+    assert.deepEqual(plain(cleaned), [
+        { role: 'user', content: 'hi' },
+        { role: 'assistant', content: null, tool_calls: [toolCall('a', 'google_search', { query: 'x' })] },
+        { role: 'tool', content: '{}', tool_call_id: 'a' },
+        { role: 'assistant', content: 'done' }
+    ]);
+});
+
+test('cleanMessagesForAPI drops orphaned tool results and duplicate answers', () => {
+    const { agent } = createAgent(loadAgent());
+    const cleaned = agent.cleanMessagesForAPI([
+        { role: 'tool', tool_call_id: 'ghost', content: '{}' },
+        { role: 'user', content: 'hi' },
+        { role: 'assistant', content: null, tool_calls: [toolCall('a', 'google_search', { query: 'x' })] },
+        { role: 'tool', tool_call_id: 'a', content: '1' },
+        { role: 'tool', tool_call_id: 'a', content: '2' },
+        { role: 'user', content: 'again' },
+        { role: 'tool', tool_call_id: 'a', content: '3' }
+    ]);
+
+    assert.deepEqual(plain(cleaned).map(m => m.role), ['user', 'assistant', 'tool', 'user']);
+    assert.equal(cleaned[2].content, '1');
+});
+
+test('cleanMessagesForAPI trims unanswered tool calls', () => {
+    const { agent } = createAgent(loadAgent());
+    const cleaned = agent.cleanMessagesForAPI([
+        { role: 'user', content: 'hi' },
+        {
+            role: 'assistant',
+            content: null,
+            tool_calls: [toolCall('a', 'google_search', { query: 'x' }), toolCall('b', 'google_search', { query: 'y' })]
+        },
+        { role: 'tool', tool_call_id: 'a', content: '{}' },
+        { role: 'assistant', content: 'Let me check', tool_calls: [toolCall('c', 'google_search', { query: 'z' })] },
+        { role: 'assistant', content: null, tool_calls: [toolCall('d', 'google_search', { query: 'w' })] }
+    ]);
+
+    assert.deepEqual(plain(cleaned), [
+        { role: 'user', content: 'hi' },
+        { role: 'assistant', content: null, tool_calls: [toolCall('a', 'google_search', { query: 'x' })] },
+        { role: 'tool', content: '{}', tool_call_id: 'a' },
+        { role: 'assistant', content: 'Let me check' }
+    ]);
+});
+
+test('loop runs tool calls and feeds the results back to the model', async () => {
+    const fetch = mockFetch((call, index) => index === 0
+        ? openAIReply(null, [toolCall('call_1', 'google_search', { query: 'node test runner' })])
+        : openAIReply('Here is what I found.'));
+    const { agent, events } = createAgent(loadAgent({ fetch }), { openaiApiKey: 'sk-test', stream: false });
+
+    await agent.send('Search for node test runner');
+
+    assert.equal(fetch.calls.length, 2);
+    assert.equal(fetch.calls[0].url, 'https://api.openai.com/v1/chat/completions');
+    assert.equal(fetch.calls[0].init.headers.Authorization, 'Bearer sk-test');
+    assert.deepEqual(plain(fetch.calls[0].body.tools).map(t => t.function.name), ['google_search', 'aipipe_workflow', 'execute_javascript']);
+
+    // The second request answers the tool call
+    const secondMessages = fetch.calls[1].body.messages;
+    assert.deepEqual(secondMessages.map(m => m.role), ['user', 'assistant', 'tool']);
+    assert.equal(secondMessages[2].tool_call_id, 'call_1');
+    assert.equal(JSON.parse(secondMessages[2].content).query, 'node test runner');
+
+    assert.deepEqual(plain(agent.messages).map(m => m.role), ['user', 'assistant', 'tool', 'assistant']);
+    assert.equal(agent.messages[3].content, 'Here is what I found.');
+    assert.equal(agent.isProcessing, false);
+
+    const order = events.filter(e => e.name !== 'status' && e.name !== 'context').map(e => e.name === 'message' ? `message:${e.message.role}` : e.name);
+    assert.deepEqual(order, [
+        'message:user',
+        'message:assistant',
+        'tool-call',
+        'tool-result',
+        'message:tool',
+        'message:assistant'
+    ]);
+    assert.deepEqual(events.filter(e => e.name === 'status').map(e => e.status), [
+        'Thinking... (step 1)',
+        'Executing tools... (step 1)',
+        'Thinking... (step 2)',
+        'Ready'
+    ]);
+});
+
+test('loop streams tokens when streaming is enabled', async () => {
+    const fetch = mockFetch(() => sseResponse([
+        { choices: [{ delta: { content: 'Hel' } }] },
+        { choices: [{ delta: { content: 'lo!' } }] }
+    ]));
+    const { agent, events } = createAgent(loadAgent({ fetch }), { openaiApiKey: 'sk-test' });
+
+    await agent.send('Say hello');
+
+    assert.equal(fetch.calls[0].body.stream, true);
+    assert.deepEqual(events.filter(e => e.name === 'token').map(e => e.text), ['Hel', 'Hello!']);
+    assert.equal(agent.messages[1].content, 'Hello!');
+});
+
+test('loop stops at the step limit with a warning', async () => {
+    let id = 0;
+    const fetch = mockFetch(() => openAIReply(null, [toolCall(`call_${++id}`, 'google_search', { query: 'again' })]));
+    const { agent, events } = createAgent(loadAgent({ fetch }), { openaiApiKey: 'sk-test', stream: false, maxSteps: 2 });
+
+    await agent.send('Loop forever');
+
+    assert.equal(fetch.calls.length, 2);
+    assert.match(events.find(e => e.name === 'warning').message, /step limit \(2\)/);
+    assert.equal(events.filter(e => e.name === 'status').pop().status, 'Stopped at step 2');
+});
+
+test('loop answers from the simulation scenario when no API key is set', async () => {
+    const { agent, events } = createAgent(loadAgent());
+
+    await agent.send('What can you do?');
+
+    assert.match(events.find(e => e.name === 'warning').message, /Using simulation mode/);
+    assert.match(agent.messages[1].content, /I'm here to help/);
+});
+
+test('loop reports a clear failure instead of simulating when the provider rejects the request', async () => {
+    const fetch = mockFetch(() => jsonResponse({ error: { message: 'bad key' } }, 401));
+    const { agent, events } = createAgent(loadAgent({ fetch }), { openaiApiKey: 'sk-bad', stream: false });
+
+    await agent.send('What can you do?');
+
+    assert.equal(fetch.calls.length, 1);
+    assert.equal(events.find(e => e.name === 'error').message,
+        'Agent error: All LLM providers failed. OpenAI (gpt-4o-mini): Invalid API key. Please check your credentials');
+    assert.deepEqual(plain(agent.messages).map(m => m.role), ['user']);
+});
+
+test('loop falls back to simulation after a failure only when the user opted in', async () => {
+    const fetch = mockFetch(() => jsonResponse({ error: { message: 'bad key' } }, 401));
+    const { agent, events } = createAgent(loadAgent({ fetch }), { openaiApiKey: 'sk-bad', stream: false, simulateOnFailure: true });
+
+    await agent.send('What can you do?');
+
+    assert.match(events.find(e => e.name === 'warning').message, /Invalid API key.*Using simulation mode/);
+    assert.match(agent.messages[1].content, /I'm here to help/);
+});
+
+test('the failure fallback simulates from the same cleaned messages as keyless mode', async () => {
+    const history = [
+        { role: 'user', content: 'First' },
+        { role: 'assistant', content: '⏹️ Stopped by user.', cancelled: true }
+    ];
+    const seen = [];
+    const run = async (config) => {
+        const { agent } = createAgent(loadAgent({ fetch: mockFetch(() => jsonResponse({ error: { message: 'bad key' } }, 401)) }), {
+            systemPrompt: 'Be brief.', stream: false, ...config
+        });
+        agent.messages = history.map(message => ({ ...message }));
+        const respond = agent.simulator.respond.bind(agent.simulator);
+        agent.simulator.respond = (messages, options) => {
+            seen.push(plain(messages));
+            return respond(messages, options);
+        };
+        await agent.send('Second');
+    };
+
+    await run({});
+    await run({ openaiApiKey: 'sk-bad', simulateOnFailure: true });
+
+    assert.equal(seen.length, 2);
+    assert.deepEqual(seen[1], seen[0]);
+    assert.ok(!seen[1].some(message => message.cancelled || /Stopped by user/.test(message.content || '')));
+});
+
+test('retryable statuses are retried and Retry-After is honoured', async () => {
+    const fetch = mockFetch((call, index) => [
+        () => jsonResponse({ error: { message: 'Bad gateway' } }, 502),
+        () => jsonResponse({ error: { message: 'slow down' } }, 429, { 'retry-after': '0' }),
+        () => openAIReply('Third time lucky.')
+    ][index]());
+    const { agent, events } = createAgent(loadAgent({ fetch }), { openaiApiKey: 'sk-test', stream: false });
+
+    await agent.send('hello');
+
+    assert.equal(fetch.calls.length, 3);
+    assert.deepEqual(events.filter(e => e.name === 'warning').map(e => e.message), [
+        'OpenAI (gpt-4o-mini) failed: Bad gateway. Retrying in 0 s (retry 1 of 2).',
+        'OpenAI (gpt-4o-mini) failed: API quota exceeded. Check your billing or try again later. Retrying in 0 s (retry 2 of 2).'
+    ]);
+    assert.equal(agent.messages[1].content, 'Third time lucky.');
+
+    const overloaded = mockFetch((call, index) => index === 0
+        ? jsonResponse({ error: { message: 'Overloaded' } }, 529)
+        : jsonResponse({ content: [{ type: 'text', text: 'Back again.' }] }));
+    const anthropic = createAgent(loadAgent({ fetch: overloaded }), { model: 'claude-3-haiku', anthropicApiKey: 'sk-ant', stream: false });
+
+    await anthropic.agent.send('hello');
+
+    assert.equal(overloaded.calls.length, 2);
+    assert.equal(anthropic.events.find(e => e.name === 'warning').message,
+        'Anthropic (claude-3-haiku) failed: Anthropic API is overloaded. Try again in a moment. Retrying in 0 s (retry 1 of 2).');
+    assert.equal(anthropic.agent.messages[1].content, 'Back again.');
+});
+
+test('network errors are retried before giving up', async () => {
+    const fetch = mockFetch(() => {
+        throw new TypeError('Failed to fetch');
+    });
+    const { agent, events } = createAgent(loadAgent({ fetch }), { openaiApiKey: 'sk-test', stream: false, retries: 1 });
+
+    await agent.send('hello');
+
+    assert.equal(fetch.calls.length, 2);
+    assert.match(events.find(e => e.name === 'error').message, /Failed to fetch \(Network issue - check internet connection\)$/);
+});
+
+test('failover moves through the chain in order after retries run out', async () => {
+    const fetch = mockFetch((call) => call.url.includes('openai.com')
+        ? jsonResponse({ error: { message: 'Service unavailable' } }, 503)
+        : jsonResponse({ content: [{ type: 'text', text: 'Claude here.' }], stop_reason: 'end_turn' }));
+    const { agent, events } = createAgent(loadAgent({ fetch }), {
+        openaiApiKey: 'sk-test',
+        anthropicApiKey: 'sk-ant-test',
+        stream: false,
+        retries: 1,
+        failover: ['gemini-pro', 'anthropic:claude-3-haiku']
+    });
+
+    await agent.send('hello');
+
+    assert.deepEqual(fetch.calls.map(c => new URL(c.url).host), ['api.openai.com', 'api.openai.com', 'api.anthropic.com']);
+    assert.equal(fetch.calls[2].body.model, 'claude-3-haiku');
+    assert.equal(events.filter(e => e.name === 'warning').pop().message,
+        'OpenAI (gpt-4o-mini) failed: Service unavailable. Trying Anthropic (claude-3-haiku).');
+    assert.equal(agent.messages[1].content, 'Claude here.');
+    assert.equal(agent.messages[1].model, 'claude-3-haiku');
+});
+
+test('retry delays back off exponentially and respect the cap', () => {
+    const { agent } = createAgent(loadAgent(), { retryBaseDelayMs: 1000 });
+
+    for (const [attempt, expected] of [[0, 1000], [1, 2000], [2, 4000]]) {
+        const delay = agent.getRetryDelay(attempt);
+        assert.ok(delay >= expected * 0.75 && delay <= expected * 1.25, `attempt ${attempt}: ${delay}`);
+    }
+    assert.equal(agent.getRetryDelay(10), 30000);
+    assert.equal(agent.getRetryDelay(0, 5000), 5000);
+    assert.equal(agent.getRetryDelay(0, 120000), 30000);
+});
+
+test('loop reports errors through the error event', async () => {
+    const { agent, events } = createAgent(loadAgent(), { model: '' });
+
+    await agent.send('hello');
+
+    assert.equal(events.find(e => e.name === 'error').message, 'Agent error: No model configured');
+    assert.equal(agent.isProcessing, false);
+});
+
+test('an AI Pipe key routes every model through AI Pipe', async () => {
+    const fetch = mockFetch(() => openAIReply('Routed.'));
+    const { agent } = createAgent(loadAgent({ fetch }), { model: 'gpt-4', aipipeApiKey: 'aip-test', stream: false });
+
+    await agent.send('hello');
+
+    assert.equal(fetch.calls[0].url, 'https://aipipe.org/openrouter/v1/chat/completions');
+    assert.equal(fetch.calls[0].body.model, 'openai/gpt-4');
+    assert.equal(agent.messages[1].content, 'Routed.');
+});
+
+test('AI Pipe model names get their vendor prefix and are never swapped for another model', () => {
+    const { LLMProviders } = loadAgent();
+    const aipipe = LLMProviders.get('aipipe');
+
+    assert.equal(aipipe.mapModel('gpt-4o-mini'), 'openai/gpt-4o-mini');
+    assert.equal(aipipe.mapModel('o3-mini'), 'openai/o3-mini');
+    assert.equal(aipipe.mapModel('claude-3-haiku'), 'anthropic/claude-3-haiku');
+    assert.equal(aipipe.mapModel('gemini-1.5-flash'), 'google/gemini-1.5-flash');
+    assert.equal(aipipe.mapModel('meta-llama/llama-3.1-8b-instruct'), 'meta-llama/llama-3.1-8b-instruct');
+    assert.equal(aipipe.mapModel('mistral-large'), 'mistral-large');
+});
+
+test('a recorded cassette replays the run without network calls', async () => {
+    const context = loadAgent({
+        fetch: mockFetch((call, index) => index === 0
+            ? openAIReply(null, [toolCall('call_1', 'execute_javascript', { code: 'return 6 * 7' })])
+            : openAIReply('The answer is 42.'))
+    });
+    const recorder = createAgent(context, { openaiApiKey: 'sk-test', stream: false });
+    recorder.agent.cassette = new context.Cassette();
+    recorder.agent.cassetteMode = 'record';
+    await recorder.agent.send('Compute 6 * 7');
+
+    const saved = JSON.stringify(recorder.agent.cassette);
+    context.fetch = async () => {
+        throw new Error('network used during replay');
+    };
+
+    const player = createAgent(context, { openaiApiKey: 'sk-test', stream: false });
+    player.agent.cassette = context.Cassette.parse(saved);
+    player.agent.cassetteMode = 'replay';
+    await player.agent.send('Compute 6 * 7');
+
+    const contents = (agent) => plain(agent.messages).map(m => m.role === 'tool' ? JSON.parse(m.content).result : m.content);
+    assert.deepEqual(contents(player.agent), contents(recorder.agent));
+    assert.equal(player.agent.messages[2].role, 'tool');
+    assert.equal(JSON.parse(player.agent.messages[2].content).result, 42);
+    assert.equal(player.events.some(e => e.name === 'error'), false);
+});
+
+test('cancel aborts the pending LLM request and records a cancelled marker', async () => {
+    const fetch = mockFetch((call) => hangingResponse(call));
+    const { agent, events } = createAgent(loadAgent({ fetch }), { openaiApiKey: 'sk-test', stream: false });
+    agent.on('status', ({ status }) => status.startsWith('Thinking') && setTimeout(() => agent.cancel(), 10));
+
+    await agent.send('Take your time');
+
+    assert.equal(fetch.calls[0].init.signal.aborted, true);
+    assert.equal(agent.messages[1].content, '⏹️ Stopped by user.');
+    assert.equal(agent.messages[1].cancelled, true);
+    assert.equal(agent.isProcessing, false);
+    assert.equal(agent.cancel(), false);
+    assert.equal(events.some(e => e.name === 'error' || e.name === 'warning'), false);
+    assert.equal(events.filter(e => e.name === 'status').pop().status, 'Ready');
+});
+
+test('cancel stops running tools and the marker never reaches the API', async () => {
+    const fetch = mockFetch(() => openAIReply(null, [toolCall('call_1', 'execute_javascript', { code: 'while (true) {}' })]));
+    const { agent, events } = createAgent(loadAgent({ fetch }), { openaiApiKey: 'sk-test', stream: false });
+    agent.on('tool-call', () => setTimeout(() => agent.cancel(), 50));
+
+    await agent.send('Spin forever');
+
+    assert.equal(events.find(e => e.name === 'tool-result').result.type, 'cancelled');
+    assert.deepEqual(plain(agent.messages).map(m => m.role), ['user', 'assistant', 'assistant']);
+    assert.equal(agent.messages[2].cancelled, true);
+    assert.equal(fetch.calls.length, 1);
+
+    agent.messages.push({ role: 'user', content: 'never mind' });
+    assert.deepEqual(plain(agent.cleanMessagesForAPI(agent.messages)), [
+        { role: 'user', content: 'Spin forever' },
+        { role: 'user', content: 'never mind' }
+    ]);
+});
+
+test('a tool that runs past toolTimeoutMs is stopped and the loop continues', async () => {
+    const fetch = mockFetch((call, index) => index === 0
+        ? openAIReply(null, [toolCall('call_1', 'execute_javascript', { code: 'while (true) {}' })])
+        : openAIReply('That code never finishes.'));
+    const { agent } = createAgent(loadAgent({ fetch }), { openaiApiKey: 'sk-test', stream: false, toolTimeoutMs: 100 });
+
+    await agent.send('Run this');
+
+    assert.equal(JSON.parse(agent.messages[2].content).type, 'timeout');
+    assert.equal(agent.messages[3].content, 'That code never finishes.');
+});
+
+test('an LLM request past requestTimeoutMs fails without retrying', async () => {
+    const fetch = mockFetch((call) => hangingResponse(call));
+    const { agent, events } = createAgent(loadAgent({ fetch }), { openaiApiKey: 'sk-test', stream: false, requestTimeoutMs: 50 });
+
+    await agent.send('What can you do?');
+
+    assert.equal(fetch.calls.length, 1);
+    assert.match(events.find(e => e.name === 'error').message, /OpenAI \(gpt-4o-mini\): no response within 0\.05 s$/);
+});
+
+test('simulated replies and tool results are flagged in the history and events', async () => {
+    const { agent, events } = createAgent(loadAgent());
+
+    await agent.send('Search for node test runner');
+
+    assert.deepEqual(plain(agent.messages).map(m => [m.role, m.simulated === true]), [
+        ['user', false],
+        ['assistant', true],
+        ['tool', true],
+        ['assistant', true]
+    ]);
+    assert.equal(events.find(e => e.name === 'tool-call').simulated, true);
+    assert.equal(events.find(e => e.name === 'tool-result').simulated, true);
+});
+
+test('strict mode refuses to simulate without an API key', async () => {
+    const { agent, events } = createAgent(loadAgent(), { strict: true });
+
+    await agent.send('What can you do?');
+
+    assert.equal(events.find(e => e.name === 'error').message,
+        'Agent error: Strict mode: add your OpenAI API key; simulated responses are disabled');
+    assert.equal(events.some(e => e.name === 'warning'), false);
+    assert.deepEqual(plain(agent.messages).map(m => m.role), ['user']);
+});
+
+test('strict mode overrides the simulation fallback after failures', async () => {
+    const fetch = mockFetch(() => jsonResponse({ error: { message: 'bad key' } }, 401));
+    const { agent, events } = createAgent(loadAgent({ fetch }), {
+        openaiApiKey: 'sk-bad',
+        stream: false,
+        simulateOnFailure: true,
+        strict: true
+    });
+
+    await agent.send('What can you do?');
+
+    assert.match(events.find(e => e.name === 'error').message, /All LLM providers failed/);
+    assert.deepEqual(plain(agent.messages).map(m => m.role), ['user']);
+});
+
+test('each request is trimmed to the model context and reported', async () => {
+    const fetch = mockFetch(() => openAIReply('Short answer.'));
+    const { agent, events } = createAgent(loadAgent({ fetch }), {
+        openaiApiKey: 'sk-test',
+        stream: false,
+        contextLimit: 3000,
+        maxOutputTokens: 500
+    });
+    for (let i = 0; i < 5; i++) {
+        agent.messages.push({ role: 'user', content: `Question ${i} ${'x'.repeat(2000)}` });
+        agent.messages.push({ role: 'assistant', content: `Answer ${i}` });
+    }
+
+    await agent.send('Latest question');
+
+    const sent = fetch.calls[0].body.messages;
+    assert.equal(fetch.calls[0].body.max_tokens, 500);
+    assert.equal(sent[0].role, 'user');
+    assert.equal(sent[sent.length - 1].content, 'Latest question');
+    assert.ok(sent.length < 11);
+
+    const context = events.find(e => e.name === 'context');
+    assert.equal(context.limit, 3000);
+    assert.equal(context.dropped, 11 - sent.length);
+    assert.ok(context.tokens <= 2500);
+    assert.equal(agent.messages.length, 12);
+});
+
+test('usage reported by the provider is stored with its cost and totalled per session', async () => {
+    const fetch = mockFetch((call, index) => jsonResponse({
+        choices: [{ message: index === 0
+            ? { role: 'assistant', content: null, tool_calls: [toolCall('call_1', 'execute_javascript', { code: 'return 1' })] }
+            : { role: 'assistant', content: 'Done.' } }],
+        usage: { prompt_tokens: 1000, completion_tokens: 200 }
+    }));
+    const { agent, events } = createAgent(loadAgent({ fetch }), {
+        openaiApiKey: 'sk-test',
+        stream: false,
+        prices: { 'gpt-4o-mini': { input: 1, output: 5 } }
+    });
+
+    await agent.send('Run it');
+
+    assert.deepEqual(plain(agent.messages[1].usage), { inputTokens: 1000, outputTokens: 200, cost: 0.002 });
+    const usageEvents = events.filter(e => e.name === 'usage');
+    assert.equal(usageEvents.length, 2);
+    assert.equal(usageEvents[1].model, 'gpt-4o-mini');
+    assert.deepEqual(plain(usageEvents[1].session), {
+        inputTokens: 2000,
+        outputTokens: 400,
+        totalTokens: 2400,
+        cost: 0.004,
+        calls: 2,
+        toolCalls: 1,
+        unpricedCalls: 0
+    });
+});
+
+test('cost is priced with the model that was sent and answered, not the one requested', async () => {
+    const usage = { prompt_tokens: 1000000, completion_tokens: 0 };
+    const fallback = mockFetch(() => jsonResponse({ choices: [{ message: { role: 'assistant', content: 'Hi.' } }], usage }));
+    const openai = createAgent(loadAgent({ fetch: fallback }), { model: 'gpt-4', openaiApiKey: 'sk-test', stream: false }).agent;
+    await openai.send('hello');
+
+    assert.equal(fallback.calls[0].body.model, 'gpt-3.5-turbo');
+    assert.equal(openai.messages[1].model, 'gpt-3.5-turbo');
+    assert.equal(openai.messages[1].usage.cost, 0.5);
+
+    const served = mockFetch(() => jsonResponse({ model: 'openai/gpt-4o-mini-2024-07-18', choices: [{ message: { role: 'assistant', content: 'Hi.' } }], usage }));
+    const aipipe = createAgent(loadAgent({ fetch: served }), { model: 'gpt-4o-mini', aipipeApiKey: 'aip-test', stream: false }).agent;
+    await aipipe.send('hello');
+
+    assert.equal(aipipe.messages[1].model, 'openai/gpt-4o-mini-2024-07-18');
+    assert.equal(aipipe.messages[1].usage.cost, 0.15);
+});
+
+test('streamed replies pick up usage from the final chunk', async () => {
+    const fetch = mockFetch(() => sseResponse([
+        { choices: [{ delta: { content: 'Hi' } }] },
+        { choices: [], usage: { prompt_tokens: 12, completion_tokens: 3 } }
+    ]));
+    const { agent } = createAgent(loadAgent({ fetch }), { openaiApiKey: 'sk-test' });
+
+    await agent.send('Say hi');
+
+    assert.deepEqual(plain(fetch.calls[0].body.stream_options), { include_usage: true });
+    assert.equal(agent.messages[1].usage.inputTokens, 12);
+    assert.equal(agent.messages[1].usage.outputTokens, 3);
+});
+
+test('every streaming provider asks for the usage chunk', () => {
+    const { LLMProviders } = loadAgent();
+    const context = { model: 'gpt-4o-mini', messages: [], tools: [], apiKey: 'k', baseUrl: 'http://localhost:11434/v1', stream: true };
+
+    for (const adapter of LLMProviders.list().filter(adapter => adapter.parseStream)) {
+        assert.deepEqual(plain(adapter.buildRequest(context).body.stream_options), { include_usage: true }, adapter.name);
+    }
+});
+
+test('a token budget stops the loop before the next call', async () => {
+    let id = 0;
+    const fetch = mockFetch(() => jsonResponse({
+        choices: [{ message: { role: 'assistant', content: null, tool_calls: [toolCall(`call_${++id}`, 'google_search', { query: 'x' })] } }],
+        usage: { prompt_tokens: 600, completion_tokens: 100 }
+    }));
+    const { agent, events } = createAgent(loadAgent({ fetch }), { openaiApiKey: 'sk-test', stream: false, budgetMaxTokens: 1000 });
+
+    await agent.send('Keep searching');
+
+    assert.equal(fetch.calls.length, 2);
+    assert.equal(events.filter(e => e.name === 'warning').pop().message,
+        'Token budget reached: 1400 of 1000 tokens used in this session. Raise the budget or start a new conversation.');
+    assert.equal(events.filter(e => e.name === 'status').pop().status, 'Stopped: budget reached');
+});
+
+test('cost and tool call budgets stop the loop with a clear message', async () => {
+    const reply = () => jsonResponse({
+        choices: [{ message: { role: 'assistant', content: null, tool_calls: [
+            toolCall('call_a', 'google_search', { query: 'a' }),
+            toolCall('call_b', 'google_search', { query: 'b' })
+        ] } }],
+        usage: { prompt_tokens: 1000000, completion_tokens: 0 }
+    });
+
+    const tools = createAgent(loadAgent({ fetch: mockFetch(reply) }), { openaiApiKey: 'sk-test', stream: false, budgetMaxToolCalls: 1 });
+    await tools.agent.send('Search twice');
+    assert.equal(tools.events.some(e => e.name === 'tool-call'), false);
+    assert.match(tools.events.filter(e => e.name === 'warning').pop().message,
+        /^Tool call budget reached: 0 of 1 tool calls used in this session and the model asked for 2 more\./);
+
+    const cost = createAgent(loadAgent({ fetch: mockFetch(reply) }), { openaiApiKey: 'sk-test', stream: false, budgetMaxCost: '0.10' });
+    await cost.agent.send('Search twice');
+    assert.equal(cost.events.filter(e => e.name === 'usage').length, 1);
+    assert.match(cost.events.filter(e => e.name === 'warning').pop().message, /^Cost budget reached: \$0\.15 of \$0\.10 spent/);
+});
+
+function approvalRun(config, approveToolCall) {
+    // One execute_javascript call, then a plain answer
+    const fetch = mockFetch((call, index) => index === 0
+        ? openAIReply(null, [toolCall('call_1', 'execute_javascript', { code: 'return 1 + 1' })])
+        : openAIReply('Done.'));
+    const run = createAgent(loadAgent({ fetch }), { openaiApiKey: 'sk-test', stream: false, ...config });
+    run.agent.approveToolCall = approveToolCall;
+    run.fetch = fetch;
+    return run;
+}
+
+test('tools with the ask policy run once approved', async () => {
+    const asked = [];
+    const { agent } = approvalRun({ toolPolicies: { execute_javascript: 'ask' } }, async (call) => {
+        asked.push(call.function.name);
+        return { approved: true };
+    });
+
+    await agent.send('Add');
+
+    assert.deepEqual(asked, ['execute_javascript']);
+    assert.equal(JSON.parse(agent.messages[2].content).result, 2);
+});
+
+test('approved calls can run with edited arguments', async () => {
+    const { agent, fetch } = approvalRun({ toolPolicies: { execute_javascript: 'ask' } }, async () => ({
+        approved: true,
+        arguments: { code: 'return 40 + 2' }
+    }));
+
+    await agent.send('Add');
+
+    assert.equal(JSON.parse(agent.messages[2].content).result, 42);
+    assert.equal(agent.messages[1].tool_calls[0].function.arguments, '{"code":"return 40 + 2"}');
+    assert.equal(fetch.calls[1].body.messages[1].tool_calls[0].function.arguments, '{"code":"return 40 + 2"}');
+});
+
+test('a rejected call goes back to the model as a declined tool result', async () => {
+    const { agent, fetch, events } = approvalRun({ toolPolicies: { execute_javascript: 'ask' } }, async () => ({
+        approved: false,
+        reason: 'not now'
+    }));
+
+    await agent.send('Add');
+
+    const result = JSON.parse(fetch.calls[1].body.messages[2].content);
+    assert.equal(result.type, 'rejected');
+    assert.match(result.message, /^The user declined to run "execute_javascript" with these arguments \(not now\)\./);
+    assert.equal(events.find(e => e.name === 'tool-result').result.type, 'rejected');
+    assert.equal(agent.messages[3].content, 'Done.');
+});
+
+test('denied tools and unanswerable approvals never run', async () => {
+    const denied = approvalRun({ toolPolicies: { execute_javascript: 'deny' } }, async () => {
+        throw new Error('should not be asked');
+    });
+    await denied.agent.send('Add');
+    assert.equal(JSON.parse(denied.agent.messages[2].content).type, 'denied');
+
+    const unattended = approvalRun({ toolPolicies: { execute_javascript: 'ask' } }, null);
+    await unattended.agent.send('Add');
+    assert.match(JSON.parse(unattended.agent.messages[2].content).message, /needs the user's approval/);
+});
+
+test('Stop while an approval is pending cancels the run', async () => {
+    const { agent } = approvalRun({ toolPolicies: { execute_javascript: 'ask' } }, (call, { signal }) =>
+        new Promise(resolve => {
+            signal.addEventListener('abort', () => resolve({ approved: false, reason: 'stopped' }));
+            setTimeout(() => agent.cancel(), 10);
+        }));
+
+    await agent.send('Add');
+
+    assert.deepEqual(plain(agent.messages).map(m => m.role), ['user', 'assistant', 'assistant']);
+    assert.equal(agent.messages[2].cancelled, true);
+});
+
+test('the system prompt goes first for OpenAI-style APIs and is not stored in the history', async () => {
+    const fetch = mockFetch(() => openAIReply('Hi.'));
+    const { agent } = createAgent(loadAgent({ fetch }), { openaiApiKey: 'sk-test', stream: false, systemPrompt: 'Be brief.' });
+
+    await agent.send('hello');
+
+    assert.deepEqual(plain(fetch.calls[0].body.messages.slice(0, 2)), [
+        { role: 'system', content: 'Be brief.' },
+        { role: 'user', content: 'hello' }
+    ]);
+    assert.deepEqual(plain(agent.messages.map(message => message.role)), ['user', 'assistant']);
+});
+
+test('Anthropic and Gemini receive the system prompt in their own fields', async () => {
+    const anthropicFetch = mockFetch(() => jsonResponse({ content: [{ type: 'text', text: 'Hi.' }] }));
+    const anthropic = createAgent(loadAgent({ fetch: anthropicFetch }), {
+        model: 'claude-3-haiku', anthropicApiKey: 'sk-ant-test', stream: false, systemPrompt: 'Be brief.'
+    }).agent;
+    await anthropic.send('hello');
+
+    assert.equal(anthropicFetch.calls[0].body.system, 'Be brief.');
+    assert.ok(anthropicFetch.calls[0].body.messages.every(message => message.role !== 'system'));
+
+    const googleFetch = mockFetch(() => jsonResponse({ candidates: [{ content: { parts: [{ text: 'Hi.' }] } }] }));
+    const google = createAgent(loadAgent({ fetch: googleFetch }), {
+        model: 'gemini-pro', googleApiKey: 'g-test', stream: false, systemPrompt: 'Be brief.'
+    }).agent;
+    await google.send('hello');
+
+    assert.deepEqual(plain(googleFetch.calls[0].body.systemInstruction), { parts: [{ text: 'Be brief.' }] });
+    assert.ok(googleFetch.calls[0].body.contents.every(content => content.role !== 'system'));
+});
+
+test('Anthropic tool_use replies become tool calls and their results go back as tool_result blocks', async () => {
+    const fetch = mockFetch((call, index) => index === 0
+        ? jsonResponse({ content: [
+            { type: 'text', text: 'Let me check.' },
+            { type: 'tool_use', id: 'toolu_1', name: 'execute_javascript', input: { code: 'return 6 * 7' } },
+            { type: 'tool_use', id: 'toolu_2', name: 'aipipe_workflow', input: { workflow: 'dance', data: 'x' } }
+        ] })
+        : jsonResponse({ content: [{ type: 'text', text: 'It is 42.' }] }));
+    const { agent } = createAgent(loadAgent({ fetch }), { model: 'claude-3-haiku', anthropicApiKey: 'sk-ant-test', stream: false });
+
+    await agent.send('What is 6 * 7?');
+
+    assert.deepEqual(plain(agent.messages[1].tool_calls), [
+        { id: 'toolu_1', type: 'function', function: { name: 'execute_javascript', arguments: '{"code":"return 6 * 7"}' } },
+        { id: 'toolu_2', type: 'function', function: { name: 'aipipe_workflow', arguments: '{"workflow":"dance","data":"x"}' } }
+    ]);
+    assert.equal(agent.messages[1].content, 'Let me check.');
+
+    const [user, assistant, results] = plain(fetch.calls[1].body.messages);
+    assert.deepEqual(user, { role: 'user', content: [{ type: 'text', text: 'What is 6 * 7?' }] });
+    assert.deepEqual(assistant, { role: 'assistant', content: [
+        { type: 'text', text: 'Let me check.' },
+        { type: 'tool_use', id: 'toolu_1', name: 'execute_javascript', input: { code: 'return 6 * 7' } },
+        { type: 'tool_use', id: 'toolu_2', name: 'aipipe_workflow', input: { workflow: 'dance', data: 'x' } }
+    ] });
+    assert.equal(results.role, 'user');
+    assert.deepEqual(results.content.map(block => [block.type, block.tool_use_id, block.is_error]), [
+        ['tool_result', 'toolu_1', undefined],
+        ['tool_result', 'toolu_2', true]
+    ]);
+    assert.equal(JSON.parse(results.content[0].content).result, 42);
+    assert.equal(JSON.parse(results.content[1].content).type, 'validation_error');
+    assert.equal(agent.messages[agent.messages.length - 1].content, 'It is 42.');
+});
+
+test('Gemini functionCall parts become tool calls and results go back as named functionResponse parts', async () => {
+    const fetch = mockFetch((call, index) => index === 0
+        ? jsonResponse({ candidates: [{ content: { role: 'model', parts: [
+            { functionCall: { name: 'execute_javascript', args: { code: 'return 6 * 7' } } }
+        ] } }] })
+        : jsonResponse({ candidates: [{ content: { role: 'model', parts: [{ text: 'It is 42.' }] } }] }));
+    const { agent } = createAgent(loadAgent({ fetch }), { model: 'gemini-1.5-flash', googleApiKey: 'g-test', stream: false });
+
+    await agent.send('What is 6 * 7?');
+
+    assert.equal(fetch.calls[0].url, 'https://generativelanguage.googleapis.com/v1beta/models/gemini-1.5-flash:generateContent?key=g-test');
+    assert.equal(fetch.calls[0].body.tools[0].function_declarations.find(d => d.name === 'execute_javascript').parameters.type, 'object');
+    const [call] = agent.messages[1].tool_calls;
+    assert.equal(call.type, 'function');
+    assert.match(call.id, /^call_/);
+    assert.deepEqual(plain(call.function), { name: 'execute_javascript', arguments: '{"code":"return 6 * 7"}' });
+
+    const contents = plain(fetch.calls[1].body.contents);
+    assert.deepEqual(contents.map(content => content.role), ['user', 'model', 'user']);
+    assert.deepEqual(contents[1].parts, [{ functionCall: { name: 'execute_javascript', args: { code: 'return 6 * 7' } } }]);
+    const { functionResponse } = contents[2].parts[0];
+    assert.equal(functionResponse.name, 'execute_javascript');
+    assert.equal(functionResponse.response.result, 42);
+    assert.equal(agent.messages[agent.messages.length - 1].content, 'It is 42.');
+});
+
+test('Gemini requests with an AI Pipe key go to the AI Pipe Gemini endpoint with a bearer token', () => {
+    const { LLMProviders } = loadAgent();
+    const google = LLMProviders.get('google');
+    const context = { model: 'gemini-1.5-flash', messages: [{ role: 'user', content: 'hi' }], tools: [], maxTokens: 100 };
+
+    const viaAipipe = google.buildRequest({ ...context, apiKey: 'aip_test' });
+    const direct = google.buildRequest({ ...context, apiKey: 'g-test' });
+
+    assert.equal(viaAipipe.url, 'https://aipipe.org/geminiv1beta/models/gemini-1.5-flash:generateContent');
+    assert.equal(viaAipipe.headers.Authorization, 'Bearer aip_test');
+    assert.ok(!viaAipipe.url.includes('key='));
+    assert.equal(direct.url, 'https://generativelanguage.googleapis.com/v1beta/models/gemini-1.5-flash:generateContent?key=g-test');
+    assert.equal(direct.headers.Authorization, undefined);
+    assert.deepEqual(plain(viaAipipe.body), plain(direct.body));
+});
+
+test('the default system prompt is used until one is configured, and an empty one sends none', async () => {
+    const context = loadAgent();
+    const { agent } = createAgent(context, { systemPrompt: undefined });
+
+    assert.equal(agent.withSystemPrompt([])[0].content, context.DEFAULT_SYSTEM_PROMPT);
+    agent.updateConfig({ systemPrompt: '   ' });
+    assert.deepEqual(plain(agent.withSystemPrompt([{ role: 'user', content: 'hi' }])), [{ role: 'user', content: 'hi' }]);
+});
+
+test('an explicitly selected provider is used whatever the model name', async () => {
+    const fetch = mockFetch(() => openAIReply('Hi.'));
+    const { agent } = createAgent(loadAgent({ fetch }), {
+        provider: 'openai', model: 'claude-3-haiku', openaiApiKey: 'sk-test', aipipeApiKey: 'aip-test', stream: false
+    });
+
+    await agent.send('hello');
+
+    assert.equal(fetch.calls[0].url, 'https://api.openai.com/v1/chat/completions');
+    assert.equal(fetch.calls[0].body.model, 'claude-3-haiku');
+});
+
+test('the custom provider calls an OpenAI-compatible server with the model as typed', async () => {
+    const fetch = mockFetch(() => openAIReply('Local.'));
+    const { agent } = createAgent(loadAgent({ fetch }), {
+        provider: 'custom', model: 'llama3.1:8b', customBaseUrl: 'http://localhost:11434/v1/', proxyUrl: 'http://localhost:8787', stream: false
+    });
+
+    await agent.send('hello');
+    agent.updateConfig({ customApiKey: 'local-key' });
+    await agent.send('again');
+
+    assert.equal(fetch.calls[0].url, 'http://localhost:11434/v1/chat/completions');
+    assert.equal(fetch.calls[0].body.model, 'llama3.1:8b');
+    assert.equal(fetch.calls[0].init.headers.Authorization, undefined);
+    assert.equal(fetch.calls[1].init.headers.Authorization, 'Bearer local-key');
+    assert.equal(agent.messages[1].content, 'Local.');
+});
+
+test('the custom provider needs a base URL and can be named in the failover chain', async () => {
+    const { agent, events } = createAgent(loadAgent(), { provider: 'custom', model: 'llama3', strict: true });
+
+    await agent.send('hello');
+    assert.equal(events.find(event => event.name === 'error').message, 'Agent error: Strict mode: set the Custom base URL; simulated responses are disabled');
+
+    const failover = createAgent(loadAgent(), {
+        model: 'gpt-4o-mini', openaiApiKey: 'sk-test',
+        failover: ['custom:qwen2.5:7b'], customBaseUrl: 'http://127.0.0.1:8080/v1'
+    }).agent;
+    assert.deepEqual(plain(failover.getRoutes().map(route => [route.provider, route.model, route.ready])), [
+        ['openai', 'gpt-4o-mini', true],
+        ['custom', 'qwen2.5:7b', true]
+    ]);
+});
+
+test('a proxy without keys leaves the page keys and the simulation in charge', async () => {
+    const fetch = mockFetch(() => jsonResponse({ choices: [{ message: { role: 'assistant', content: 'Direct.' } }] }));
+    const keyless = createAgent(loadAgent({ fetch }), { proxyUrl: 'http://localhost:8787', proxyProviders: [], stream: false });
+
+    await keyless.agent.send('hello');
+
+    assert.equal(fetch.calls.length, 0);
+    assert.equal(keyless.agent.messages[1].simulated, true);
+    assert.ok(keyless.events.some(e => e.name === 'warning' && /Using simulation mode/.test(e.message)));
+
+    const withPageKey = createAgent(loadAgent({ fetch }), {
+        proxyUrl: 'http://localhost:8787', proxyProviders: ['anthropic'], openaiApiKey: 'sk-browser', stream: false
+    });
+    await withPageKey.agent.send('hello');
+
+    assert.equal(fetch.calls[0].url, 'https://api.openai.com/v1/chat/completions');
+    assert.equal(fetch.calls[0].init.headers.Authorization, 'Bearer sk-browser');
+    assert.equal(withPageKey.agent.messages[1].content, 'Direct.');
+});
@@ -0,0 +1,83 @@
+// Headless tests for token estimation and context trimming
+// Run with: node --test tests/
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadAgent, toolCall, plain } = require('./helpers');
+
+function conversation(turns, size) {
+    // turns user questions, each answered through one tool call
+    const messages = [{ role: 'system', content: 'Be brief.' }];
+    for (let i = 0; i < turns; i++) {
+        messages.push({ role: 'user', content: `Question ${i}` });
+        messages.push({ role: 'assistant', content: null, tool_calls: [toolCall(`call_${i}`, 'google_search', { query: `q${i}` })] });
+        messages.push({ role: 'tool', tool_call_id: `call_${i}`, content: JSON.stringify({ text: 'r'.repeat(size) }) });
+        messages.push({ role: 'assistant', content: `Answer ${i}` });
+    }
+    return messages;
+}
+
+test('context limits are looked up by model name', () => {
+    const context = loadAgent();
+
+    assert.equal(context.contextLimitForModel('gpt-4o-mini'), 128000);
+    assert.equal(context.contextLimitForModel('gpt-4'), 8192);
+    assert.equal(context.contextLimitForModel('gpt-3.5-turbo'), 16385);
+    assert.equal(context.contextLimitForModel('claude-3-opus'), 200000);
+    assert.equal(context.contextLimitForModel('gemini-pro'), 32760);
+    assert.equal(context.contextLimitForModel('some-local-model'), 8192);
+});
+
+test('token estimates count messages, tool calls and tool definitions', () => {
+    const context = loadAgent();
+    const messages = [{ role: 'user', content: 'x'.repeat(400) }];
+
+    assert.equal(context.estimateTokens('abcdefgh'), 2);
+    assert.equal(context.estimateRequestTokens(messages), 104);
+    assert.ok(context.estimateRequestTokens(messages, [{ type: 'function', function: { name: 'f' } }]) > 104);
+});
+
+test('a conversation that fits is sent unchanged', () => {
+    const context = loadAgent();
+    const messages = conversation(3, 100);
+
+    const fitted = context.fitToContext(messages, { limit: 8192, reserve: 1000 });
+
+    assert.deepEqual(plain(fitted.messages), plain(messages));
+    assert.equal(fitted.dropped, 0);
+    assert.equal(fitted.overLimit, false);
+});
+
+test('oldest turns are dropped whole, keeping tool calls with their results', () => {
+    const context = loadAgent();
+    const messages = conversation(6, 2000);
+
+    const fitted = context.fitToContext(messages, { limit: 2500, reserve: 500 });
+    const kept = plain(fitted.messages);
+
+    assert.equal(kept[0].role, 'system');
+    assert.equal(kept[1].role, 'user');
+    assert.equal(kept[kept.length - 1].content, 'Answer 5');
+    assert.equal(fitted.dropped % 4, 0);
+    assert.equal(kept.length, messages.length - fitted.dropped);
+    assert.ok(fitted.tokens <= 2000);
+
+    const callIds = kept.flatMap(m => (m.tool_calls || []).map(call => call.id));
+    const resultIds = kept.filter(m => m.role === 'tool').map(m => m.tool_call_id);
+    assert.deepEqual(resultIds, callIds);
+});
+
+test('the current turn is kept and its long tool results are shortened', () => {
+    const context = loadAgent();
+    const messages = conversation(2, 20000);
+
+    const fitted = context.fitToContext(messages, { limit: 4000, reserve: 1000 });
+    const tool = fitted.messages.find(m => m.role === 'tool');
+
+    assert.equal(fitted.dropped, 4);
+    assert.equal(fitted.truncated, 1);
+    assert.equal(fitted.overLimit, false);
+    assert.equal(JSON.parse(tool.content).truncated, true);
+    assert.match(JSON.parse(tool.content).note, /shortened from \d+ characters/);
+    assert.ok(messages[7].content.length > 20000, "the original history is not modified");
+});
@@ -0,0 +1,219 @@
+// Test helpers: load the browser scripts into a Node vm context
+//
+// The app ships as plain <script> files that export through window, so the
+// tests run them in a fresh context per test with window pointing at the
+// context itself. Only the DOM-free scripts are loaded - agent.js (the
+// Bootstrap UI) is not needed by the tests, and history.js gets the
+// in-memory IndexedDB stand-in below.
+
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+const { Worker } = require('node:worker_threads');
+
+const ROOT = path.join(__dirname, '..');
+const SCRIPTS = ['sandbox.js', 'tools.js', 'providers.js', 'history.js', 'transcript.js', 'cassette.js', 'simulator.js', 'context-window.js', 'usage.js', 'personas.js', 'agent-core.js', 'markdown.js', 'vault.js'];
+
+// Runs inside the worker thread before the sandbox source, giving it the
+// self/postMessage/onmessage surface of a Web Worker
+const WORKER_PRELUDE = `
+const { parentPort } = require('node:worker_threads');
+globalThis.self = globalThis;
+self.postMessage = (message) => parentPort.postMessage(message);
+parentPort.on('message', (data) => self.onmessage({ data }));
+`;
+
+const silentConsole = { log() {}, info() {}, debug() {}, warn() {}, error() {} };
+
+function loadAgent({ fetch = null } = {}) {
+    const context = vm.createContext({
+        console: process.env.AGENT_TEST_LOGS ? console : silentConsole,
+        setTimeout,
+        clearTimeout,
+        URL,
+        Blob,
+        Headers,
+        Response,
+        ReadableStream,
+        TextEncoder,
+        TextDecoder,
+        AbortController,
+        DOMException,
+        crypto,
+        btoa,
+        atob,
+        fetch: fetch || (async (url) => {
+            throw new Error(`Unexpected fetch to ${url}`);
+        })
+    });
+    context.window = context;
+
+    // Web Worker stand-in backed by worker_threads; the page builds its
+    // worker from SANDBOX_WORKER_SOURCE, so run that same source here
+    context.Worker = class {
+        constructor() {
+            const source = vm.runInContext('SANDBOX_WORKER_SOURCE', context);
+            this.worker = new Worker(WORKER_PRELUDE + source, { eval: true });
+            this.worker.on('message', (data) => this.onmessage && this.onmessage({ data }));
+            this.worker.on('error', (error) => this.onerror && this.onerror({
+                message: error.message,
+                preventDefault() {}
+            }));
+        }
+
+        postMessage(data) {
+            this.worker.postMessage(data);
+        }
+
+        terminate() {
+            this.worker.terminate();
+        }
+    };
+
+    for (const file of SCRIPTS) {
+        vm.runInContext(fs.readFileSync(path.join(ROOT, file), 'utf8'), context, { filename: file });
+    }
+    return context;
+}
+
+function createAgent(context, config = {}) {
+    // Core with an instant simulator and retries so tests do not wait; no
+    // system prompt unless a test sets one, so requests match the history
+    const simulator = new context.ScenarioSimulator({ ...context.DEFAULT_SCENARIO, delayMs: 0 });
+    const agent = new context.AgentCore({ config: { model: 'gpt-4o-mini', retryBaseDelayMs: 0, systemPrompt: '', ...config }, simulator });
+    agent.tools.delay = async () => {};
+
+    const events = [];
+    for (const name of ['message', 'token', 'tool-call', 'tool-result', 'status', 'warning', 'error', 'context', 'usage']) {
+        agent.on(name, (payload) => events.push({ name, ...payload }));
+    }
+    return { agent, events };
+}
+
+function mockFetch(handler) {
+    // Records every call as { url, init, body } and answers with handler(call, index)
+    const calls = [];
+    const fetch = async (url, init = {}) => {
+        const call = { url: String(url), init, body: init.body ? JSON.parse(init.body) : null };
+        calls.push(call);
+        return handler(call, calls.length - 1);
+    };
+    fetch.calls = calls;
+    return fetch;
+}
+
+function hangingResponse(call) {
+    // Never answers; rejects like fetch does once the request signal aborts
+    return new Promise((resolve, reject) => {
+        call.init.signal.addEventListener('abort', () => reject(call.init.signal.reason));
+    });
+}
+
+function jsonResponse(body, status = 200, headers = {}) {
+    return new Response(JSON.stringify(body), {
+        status,
+        headers: { 'content-type': 'application/json', ...headers }
+    });
+}
+
+function sseResponse(chunks) {
+    const body = chunks.map(chunk => `data: ${JSON.stringify(chunk)}\n\n`).join('') + 'data: [DONE]\n\n';
+    return new Response(body, { headers: { 'content-type': 'text/event-stream' } });
+}
+
+function openAIReply(content, toolCalls = null) {
+    const message = { role: 'assistant', content };
+    if (toolCalls) message.tool_calls = toolCalls;
+    return jsonResponse({ choices: [{ message, finish_reason: toolCalls ? 'tool_calls' : 'stop' }] });
+}
+
+function toolCall(id, name, args) {
+    return { id, type: 'function', function: { name, arguments: JSON.stringify(args) } };
+}
+
+function fakeIndexedDB({ failOpen = null } = {}) {
+    // Just enough of IndexedDB for ConversationStore: open with an upgrade on
+    // first use, one keyPath store, and put/get/delete/getAll requests whose
+    // transaction completes on a later tick. failOpen makes open() fail.
+    const stores = new Map();
+    const later = (fn) => setTimeout(fn, 0);
+    const db = {
+        objectStoreNames: { contains: (name) => stores.has(name) },
+        createObjectStore(name, { keyPath }) {
+            stores.set(name, { keyPath, records: new Map() });
+            return { createIndex() {} };
+        },
+        transaction(name, mode) {
+            const { keyPath, records } = stores.get(name);
+            const transaction = { error: null };
+            const request = (run) => {
+                const req = { result: undefined };
+                later(() => {
+                    try {
+                        req.result = run();
+                        transaction.oncomplete?.();
+                    } catch (error) {
+                        transaction.error = error;
+                        transaction.onerror?.();
+                    }
+                });
+                return req;
+            };
+            const writable = () => {
+                if (mode !== 'readwrite') throw new Error('Transaction is read-only');
+            };
+            transaction.objectStore = () => ({
+                put: (value) => request(() => {
+                    writable();
+                    if (value[keyPath] === undefined) throw new Error(`Record has no ${keyPath}`);
+                    records.set(value[keyPath], structuredClone(value));
+                    return value[keyPath];
+                }),
+                get: (key) => request(() => records.has(key) ? structuredClone(records.get(key)) : undefined),
+                delete: (key) => request(() => {
+                    writable();
+                    records.delete(key);
+                }),
+                getAll: () => request(() => [...records.values()].map(value => structuredClone(value)))
+            });
+            return transaction;
+        }
+    };
+    const factory = {
+        opens: 0,
+        open() {
+            factory.opens++;
+            const req = { result: undefined, error: null };
+            later(() => {
+                if (failOpen) {
+                    req.error = new Error(failOpen);
+                    req.onerror?.();
+                    return;
+                }
+                req.result = db;
+                if (!stores.size) req.onupgradeneeded?.();
+                req.onsuccess?.();
+            });
+            return req;
+        }
+    };
+    return factory;
+}
+
+function plain(value) {
+    // Objects from the vm context have their own prototypes; compare as JSON
+    return JSON.parse(JSON.stringify(value));
+}
+
+module.exports = {
+    loadAgent,
+    createAgent,
+    mockFetch,
+    hangingResponse,
+    jsonResponse,
+    sseResponse,
+    openAIReply,
+    toolCall,
+    fakeIndexedDB,
+    plain
+};
@@ -0,0 +1,87 @@
+// Headless tests for the IndexedDB conversation store
+// Run with: node --test tests/
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadAgent, fakeIndexedDB, toolCall, plain } = require('./helpers');
+
+function session(id, updatedAt, messages = [{ role: 'user', content: 'Hello' }]) {
+    return { id, title: `Chat ${id}`, model: 'gpt-4o-mini', provider: 'openai', createdAt: updatedAt, updatedAt, messages };
+}
+
+test('sessions are saved, loaded, listed newest first and deleted', async () => {
+    const context = loadAgent();
+    const store = new context.ConversationStore(fakeIndexedDB());
+
+    await store.saveSession(session('a', '2026-01-01T10:00:00.000Z'));
+    await store.saveSession(session('b', '2026-01-02T10:00:00.000Z', [
+        { role: 'user', content: 'Hi' },
+        { role: 'assistant', content: 'Hello!' }
+    ]));
+
+    assert.deepEqual(plain(await store.getSession('a')), session('a', '2026-01-01T10:00:00.000Z'));
+    assert.equal(await store.getSession('missing'), undefined);
+    assert.deepEqual(plain(await store.listSessions()), [
+        { id: 'b', title: 'Chat b', model: 'gpt-4o-mini', provider: 'openai', createdAt: '2026-01-02T10:00:00.000Z', updatedAt: '2026-01-02T10:00:00.000Z', messageCount: 2 },
+        { id: 'a', title: 'Chat a', model: 'gpt-4o-mini', provider: 'openai', createdAt: '2026-01-01T10:00:00.000Z', updatedAt: '2026-01-01T10:00:00.000Z', messageCount: 1 }
+    ]);
+
+    await store.deleteSession('a');
+    assert.deepEqual(plain((await store.listSessions()).map(item => item.id)), ['b']);
+});
+
+test('saving an existing id replaces it, and renaming keeps the messages', async () => {
+    const context = loadAgent();
+    const store = new context.ConversationStore(fakeIndexedDB());
+    await store.saveSession(session('a', '2026-01-01T10:00:00.000Z'));
+    await store.saveSession(session('a', '2026-01-01T11:00:00.000Z', [{ role: 'user', content: 'Hello' }, { role: 'assistant', content: 'Hi' }]));
+
+    const renamed = await store.renameSession('a', 'Greetings');
+
+    assert.equal(renamed.title, 'Greetings');
+    const saved = await store.getSession('a');
+    assert.equal(saved.title, 'Greetings');
+    assert.equal(saved.messages.length, 2);
+    assert.equal((await store.listSessions()).length, 1);
+    await assert.rejects(store.renameSession('missing', 'x'), /Conversation not found/);
+});
+
+test('search matches titles, message text and tool call arguments with a snippet', async () => {
+    const context = loadAgent();
+    const store = new context.ConversationStore(fakeIndexedDB());
+    await store.saveSession(session('a', '2026-01-01T10:00:00.000Z', [
+        { role: 'user', content: 'Find the population of Lisbon please' },
+        { role: 'assistant', content: null, tool_calls: [toolCall('1', 'google_search', { query: 'lisbon population 2026' })] }
+    ]));
+    await store.saveSession(session('b', '2026-01-02T10:00:00.000Z'));
+
+    const results = await store.searchSessions('LISBON 2026');
+
+    assert.deepEqual(plain(results.map(result => result.id)), ['a']);
+    assert.match(results[0].snippet, /population of Lisbon/);
+    assert.equal((await store.searchSessions('  ')).length, 2);
+    assert.deepEqual(plain(await store.searchSessions('nothing-like-this')), []);
+});
+
+test('a store without IndexedDB, or one that cannot open, rejects with the cause', async () => {
+    const context = loadAgent();
+    const missing = new context.ConversationStore(null);
+
+    assert.equal(missing.isAvailable(), false);
+    await assert.rejects(missing.listSessions(), /IndexedDB is not available in this browser/);
+
+    const factory = fakeIndexedDB({ failOpen: 'The user denied storage' });
+    const blocked = new context.ConversationStore(factory);
+    await assert.rejects(blocked.saveSession(session('a', '2026-01-01T10:00:00.000Z')), /The user denied storage/);
+    await assert.rejects(blocked.getSession('a'), /The user denied storage/);
+    // A failed open is not cached, so every call tries again
+    assert.equal(factory.opens, 2);
+});
+
+test('failed transactions reject instead of resolving', async () => {
+    const context = loadAgent();
+    const store = new context.ConversationStore(fakeIndexedDB());
+
+    await assert.rejects(store.saveSession({ title: 'No id', messages: [] }), /Record has no id/);
+    assert.deepEqual(plain(await store.listSessions()), []);
+});
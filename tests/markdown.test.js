@@ -0,0 +1,77 @@
+// Headless tests for the safe Markdown renderer
+// Run with: node --test tests/
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadAgent } = require('./helpers');
+
+const { renderMarkdown } = loadAgent();
+
+test('renders emphasis, inline code and headings', () => {
+    assert.equal(
+        renderMarkdown('## Results for **cats**\nUse `a < b` and *care* ~~now~~'),
+        '<h2>Results for <strong>cats</strong></h2><p>Use <code>a &lt; b</code> and <em>care</em> <del>now</del></p>'
+    );
+});
+
+test('keeps snake_case and arithmetic asterisks as text', () => {
+    assert.equal(renderMarkdown('call my_tool_name with 2 * 3 * 4'), '<p>call my_tool_name with 2 * 3 * 4</p>');
+});
+
+test('renders lists, quotes, rules and paragraphs', () => {
+    assert.equal(
+        renderMarkdown('Intro\nsecond line\n\n- one\n- **two**\n\n1. first\n2. second\n\n> quoted\n\n---'),
+        '<p>Intro<br>second line</p><ul><li>one</li><li><strong>two</strong></li></ul>' +
+        '<ol><li>first</li><li>second</li></ol><blockquote><p>quoted</p></blockquote><hr>'
+    );
+});
+
+test('renders fenced code blocks with a language class and copy button', () => {
+    const html = renderMarkdown('Run:\n```javascript\nif (a < b) console.log("**hi**");\n```');
+
+    assert.equal(html,
+        '<p>Run:</p><div class="code-block">' +
+        '<button type="button" class="btn btn-sm btn-outline-secondary copy-code-btn" title="Copy code">Copy</button>' +
+        '<pre><code class="language-javascript">if (a &lt; b) console.log(&quot;**hi**&quot;);</code></pre></div>');
+});
+
+test('an unclosed fence renders as code while streaming', () => {
+    assert.match(renderMarkdown('```js\nconst x = 1;'), /<code class="language-js">const x = 1;<\/code>/);
+});
+
+test('links open in a new tab without access to the page', () => {
+    assert.equal(
+        renderMarkdown('[Node **docs**](https://nodejs.org/api?x=1&y=2) or https://example.com/a.'),
+        '<p><a href="https://nodejs.org/api?x=1&amp;y=2" target="_blank" rel="noopener noreferrer nofollow">Node <strong>docs</strong></a>' +
+        ' or <a href="https://example.com/a" target="_blank" rel="noopener noreferrer nofollow">https://example.com/a</a>.</p>'
+    );
+});
+
+test('unsafe link protocols are rendered as text', () => {
+    assert.equal(renderMarkdown('[click](javascript:alert(1))'), '<p>click</p>');
+    assert.equal(renderMarkdown('[a](javascript:alert(1)) next'), '<p>a next</p>');
+    assert.equal(renderMarkdown('[img](data:text/html;base64,PHNjcmlwdD4=)'), '<p>img</p>');
+});
+
+test('raw HTML from the model or search results is escaped', () => {
+    const html = renderMarkdown('<script>alert(1)</script>\n<img src=x onerror="alert(1)">\n**<b>bold</b>**');
+
+    assert.equal(html,
+        '<p>&lt;script&gt;alert(1)&lt;/script&gt;<br>&lt;img src=x onerror=&quot;alert(1)&quot;&gt;<br>' +
+        '<strong>&lt;b&gt;bold&lt;/b&gt;</strong></p>');
+});
+
+test('attribute injection through link URLs is escaped', () => {
+    assert.equal(
+        renderMarkdown('[x](https://a.com/"onmouseover="alert(1))'),
+        '<p><a href="https://a.com/&quot;onmouseover=&quot;alert(1)" target="_blank" rel="noopener noreferrer nofollow">x</a></p>'
+    );
+});
+
+test('link labels keep their code spans and URLs keep balanced parentheses', () => {
+    assert.equal(
+        renderMarkdown('See [`npm install`](https://docs.npmjs.com/cli) and [Tea](https://en.wikipedia.org/wiki/Tea_(meal)).'),
+        '<p>See <a href="https://docs.npmjs.com/cli" target="_blank" rel="noopener noreferrer nofollow"><code>npm install</code></a>' +
+        ' and <a href="https://en.wikipedia.org/wiki/Tea_(meal)" target="_blank" rel="noopener noreferrer nofollow">Tea</a>.</p>'
+    );
+});
@@ -0,0 +1,45 @@
+// Headless tests for persona presets
+// Run with: node --test tests/
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadAgent, plain } = require('./helpers');
+
+test('built-in personas only enable tools that exist', () => {
+    const context = loadAgent();
+    const tools = new context.Tools({ getConfig: () => ({}) });
+    const toolNames = tools.list().map(tool => tool.name);
+
+    for (const persona of context.BUILT_IN_PERSONAS) {
+        assert.ok(persona.systemPrompt.trim(), persona.id);
+        for (const name of persona.tools || []) {
+            assert.ok(toolNames.includes(name), `${persona.id} uses unknown tool ${name}`);
+        }
+    }
+});
+
+test('saved personas are validated and get a custom id', () => {
+    const context = loadAgent();
+
+    const persona = context.parsePersona({ name: ' SQL Helper ', systemPrompt: 'Write SQL.', tools: ['execute_javascript'], model: 'gpt-4o' });
+    assert.deepEqual(plain(persona), {
+        id: 'custom-sql-helper',
+        name: 'SQL Helper',
+        systemPrompt: 'Write SQL.',
+        tools: ['execute_javascript'],
+        model: 'gpt-4o'
+    });
+
+    assert.throws(() => context.parsePersona({ systemPrompt: 'x' }), /needs a name/);
+    assert.throws(() => context.parsePersona({ name: 'A' }), /systemPrompt/);
+    assert.throws(() => context.parsePersona({ name: 'A', systemPrompt: '', tools: 'google_search' }), /list of tool names/);
+});
+
+test('personas are found among built-in and custom presets', () => {
+    const context = loadAgent();
+    const custom = [context.parsePersona({ name: 'Mine', systemPrompt: 'Hi.' })];
+
+    assert.equal(context.findPersona('researcher').name, 'Researcher');
+    assert.equal(context.findPersona('custom-mine', custom).systemPrompt, 'Hi.');
+    assert.equal(context.findPersona('missing', custom), null);
+});
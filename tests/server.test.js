@@ -0,0 +1,176 @@
+// Headless tests for the optional proxy server
+// Run with: node --test tests/
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const http = require('node:http');
+const os = require('node:os');
+const path = require('node:path');
+const { createProxyServer, loadProxyConfig } = require('../server');
+const { loadAgent, createAgent, mockFetch, jsonResponse, sseResponse, plain } = require('./helpers');
+
+const KEYS = {
+    openaiApiKey: 'sk-server',
+    anthropicApiKey: 'sk-ant-server',
+    googleApiKey: 'g-server',
+    googleSearchEngineId: 'cx-server'
+};
+const API = { 'X-LLM-Agent': '1' };
+
+async function startProxy(t, config, upstream) {
+    // Proxy on a free port with a recorded stand-in for the vendor APIs
+    const calls = [];
+    const fetch = async (url, init = {}) => {
+        calls.push({ url: String(url), init, body: init.body ? JSON.parse(init.body) : null });
+        return upstream(String(url), calls.length - 1);
+    };
+    const server = createProxyServer({ allowedOrigins: [], ...config }, { fetch });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    t.after(() => new Promise(resolve => server.close(resolve)));
+    return { base: `http://127.0.0.1:${server.address().port}`, calls };
+}
+
+function rawGet(base, route, headers) {
+    // fetch() will not send a custom Host header, so go through node:http
+    return new Promise((resolve, reject) => {
+        http.get(`${base}${route}`, { headers }, (res) => {
+            res.resume();
+            res.on('end', () => resolve(res.statusCode));
+        }).on('error', reject);
+    });
+}
+
+test('chat requests are forwarded to the fixed vendor URL with the server key', async (t) => {
+    const { base, calls } = await startProxy(t, KEYS, () => jsonResponse({ ok: true }, 429, { 'retry-after': '3' }));
+
+    const response = await fetch(`${base}/api/chat/anthropic?model=claude-3-haiku`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...API },
+        body: JSON.stringify({ model: 'claude-3-haiku', messages: [] })
+    });
+
+    assert.equal(response.status, 429);
+    assert.equal(response.headers.get('retry-after'), '3');
+    assert.deepEqual(await response.json(), { ok: true });
+    assert.equal(calls[0].url, 'https://api.anthropic.com/v1/messages');
+    assert.equal(calls[0].init.headers['x-api-key'], 'sk-ant-server');
+    assert.deepEqual(calls[0].body, { model: 'claude-3-haiku', messages: [] });
+});
+
+test('missing keys, unknown providers and bad Google models are refused', async (t) => {
+    const { base, calls } = await startProxy(t, { googleApiKey: 'g-server' }, () => jsonResponse({}));
+    const post = (route) => fetch(`${base}${route}`, { method: 'POST', headers: API, body: '{}' });
+
+    const missing = await post('/api/chat/openai');
+    assert.equal(missing.status, 501);
+    assert.match((await missing.json()).error.message, /No OpenAI API key is configured on the proxy/);
+    assert.equal((await post('/api/chat/evil')).status, 404);
+    assert.equal((await post('/api/chat/google?model=../../x')).status, 400);
+    assert.equal((await fetch(`${base}/api/search?q=hi`, { headers: API })).status, 501);
+    assert.equal(calls.length, 0);
+
+    assert.deepEqual(await (await fetch(`${base}/api/proxy`, { headers: API })).json(), { providers: ['google'], search: false });
+});
+
+test('search goes to Google Custom Search with the server credentials', async (t) => {
+    const { base, calls } = await startProxy(t, KEYS, () => jsonResponse({ items: [] }));
+
+    const response = await fetch(`${base}/api/search?q=node%20release&num=50`, { headers: API });
+
+    assert.equal(response.status, 200);
+    const url = new URL(calls[0].url);
+    assert.equal(url.origin + url.pathname, 'https://www.googleapis.com/customsearch/v1');
+    assert.equal(url.searchParams.get('key'), 'g-server');
+    assert.equal(url.searchParams.get('cx'), 'cx-server');
+    assert.equal(url.searchParams.get('q'), 'node release');
+    assert.equal(url.searchParams.get('num'), '10');
+});
+
+test('static files are served but config, logs and paths outside the app are not', async (t) => {
+    const { base } = await startProxy(t, KEYS, () => jsonResponse({}));
+
+    const index = await fetch(`${base}/`);
+    assert.equal(index.status, 200);
+    assert.match(await index.text(), /<title>/);
+    for (const route of ['/proxy.config.json', '/server.log', '/.git/config', '/%2e%2e/etc/passwd', '/requests.jsonl']) {
+        assert.equal((await fetch(`${base}${route}`)).status, 404, route);
+    }
+});
+
+test('other origins need to be listed in allowedOrigins', async (t) => {
+    const { base } = await startProxy(t, { ...KEYS, allowedOrigins: ['https://demo.example'] }, () => jsonResponse({}));
+
+    const denied = await fetch(`${base}/api/proxy`, { headers: { ...API, Origin: 'https://evil.example' } });
+    assert.equal(denied.status, 403);
+
+    const allowed = await fetch(`${base}/api/proxy`, { headers: { ...API, Origin: 'https://demo.example', 'Sec-Fetch-Site': 'cross-site' } });
+    assert.equal(allowed.status, 200);
+    assert.equal(allowed.headers.get('access-control-allow-origin'), 'https://demo.example');
+    assert.match(allowed.headers.get('access-control-allow-headers'), /X-LLM-Agent/);
+});
+
+test('requests for another host name are refused, so DNS rebinding cannot reach the keys', async (t) => {
+    const { base, calls } = await startProxy(t, { ...KEYS, allowedHosts: ['agent.lan'] }, () => jsonResponse({ items: [] }));
+    const port = new URL(base).port;
+
+    assert.equal(await rawGet(base, '/api/search?q=hi', { ...API, Host: `attacker.example:${port}` }), 403);
+    assert.equal(await rawGet(base, '/', { Host: `attacker.example:${port}` }), 403);
+    assert.equal(await rawGet(base, '/api/search?q=hi', { ...API, Host: `127.0.0.1:${Number(port) + 1}` }), 403);
+    assert.equal(calls.length, 0);
+
+    assert.equal(await rawGet(base, '/api/search?q=hi', { ...API, Host: `localhost:${port}` }), 200);
+    assert.equal(await rawGet(base, '/api/search?q=hi', { ...API, Host: `agent.lan:${port}` }), 200);
+    assert.equal(calls.length, 2);
+});
+
+test('API calls without the X-LLM-Agent header or from another site are refused', async (t) => {
+    const { base, calls } = await startProxy(t, KEYS, () => jsonResponse({ items: [] }));
+
+    // What an <img src> or no-cors fetch from another page would look like
+    assert.equal((await fetch(`${base}/api/search?q=hi`)).status, 403);
+    assert.equal((await fetch(`${base}/api/search?q=hi`, { headers: { ...API, 'Sec-Fetch-Site': 'cross-site' } })).status, 403);
+    assert.equal(calls.length, 0);
+
+    assert.equal((await fetch(`${base}/api/search?q=hi`, { headers: { ...API, 'Sec-Fetch-Site': 'same-origin' } })).status, 200);
+    assert.equal((await fetch(`${base}/`)).status, 200);
+});
+
+test('config comes from the file with environment variables on top', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'llm-agent-proxy-'));
+    fs.writeFileSync(path.join(dir, 'proxy.config.json'), JSON.stringify({ openaiApiKey: 'from-file', anthropicApiKey: 'file-ant', port: 9000 }));
+
+    const config = loadProxyConfig({ cwd: dir, argv: [], env: { OPENAI_API_KEY: 'from-env', ALLOWED_ORIGINS: 'https://a.example, https://b.example', ALLOWED_HOSTS: 'agent.lan' } });
+    assert.equal(config.openaiApiKey, 'from-env');
+    assert.equal(config.anthropicApiKey, 'file-ant');
+    assert.equal(config.port, 9000);
+    assert.equal(config.host, '127.0.0.1');
+    assert.deepEqual(config.allowedOrigins, ['https://a.example', 'https://b.example']);
+    assert.deepEqual(config.allowedHosts, ['agent.lan']);
+
+    assert.throws(() => loadProxyConfig({ cwd: dir, argv: ['--config', 'missing.json'], env: {} }), /Config file not found/);
+    fs.rmSync(dir, { recursive: true });
+});
+
+test('with proxyUrl set the agent sends LLM and search calls to the proxy without keys', async () => {
+    const fetch = mockFetch((call, index) => {
+        if (index === 0) return sseResponse([{ choices: [{ delta: { content: 'Hi.' } }] }]);
+        return jsonResponse({ items: [{ title: 'T', snippet: 'S', link: 'https://x.example', displayLink: 'x.example' }] });
+    });
+    const context = loadAgent({ fetch });
+    const { agent } = createAgent(context, {
+        proxyUrl: 'http://localhost:8787/', proxyProviders: ['openai'], proxySearch: true, openaiApiKey: 'sk-browser'
+    });
+
+    await agent.send('hello');
+    const search = await agent.tools.googleSearch('node');
+
+    assert.equal(fetch.calls[0].url, 'http://localhost:8787/api/chat/openai?model=gpt-4o-mini');
+    assert.deepEqual(plain(fetch.calls[0].init.headers), { 'Content-Type': 'application/json', 'X-LLM-Agent': '1' });
+    assert.ok(!JSON.stringify(fetch.calls[0].body).includes('sk-browser'));
+    assert.equal(agent.messages[1].content, 'Hi.');
+    assert.equal(fetch.calls[1].url, 'http://localhost:8787/api/search?q=node&num=10');
+    assert.equal(fetch.calls[1].init.headers['X-LLM-Agent'], '1');
+    assert.equal(search.source, 'Google Custom Search API (via proxy)');
+    assert.equal(search.results[0].url, 'https://x.example');
+});
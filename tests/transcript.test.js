@@ -0,0 +1,48 @@
+// Headless tests for conversation export and import
+// Run with: node --test tests/
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadAgent, toolCall, plain } = require('./helpers');
+
+const MESSAGES = [
+    { role: 'user', content: 'Search for node' },
+    { role: 'assistant', content: null, tool_calls: [toolCall('call_1', 'google_search', { query: 'node' })], simulated: true },
+    { role: 'tool', tool_call_id: 'call_1', content: '{"query":"node","simulated":true}', simulated: true },
+    { role: 'assistant', content: 'Here you go.', simulated: true },
+    { role: 'assistant', content: 'A real answer.' }
+];
+
+test('JSON exports round-trip messages, including the simulated flag', () => {
+    const context = loadAgent();
+    const exported = context.buildConversationExport({ id: 's1', title: 'Node', model: 'llama3.1:8b', provider: 'custom' }, MESSAGES);
+
+    const imported = context.parseConversationExport(JSON.stringify(exported));
+
+    assert.deepEqual(plain(imported.messages), MESSAGES);
+    assert.equal(imported.session.title, 'Node');
+    assert.equal(imported.session.model, 'llama3.1:8b');
+    assert.equal(imported.session.provider, 'custom');
+});
+
+test('Markdown transcripts label simulated turns and tool results', () => {
+    const context = loadAgent();
+
+    const markdown = context.buildMarkdownTranscript({ title: 'Node' }, MESSAGES, (name, result) => `${name}: ${result.query}`);
+
+    assert.match(markdown, /^### 🔧 Tool Call: `google_search` 🧪 Simulated$/m);
+    assert.match(markdown, /^### ✅ Tool Result: `google_search` 🧪 Simulated$/m);
+    assert.match(markdown, /^## 🤖 Agent 🧪 Simulated$/m);
+    assert.match(markdown, /^## 🤖 Agent$/m);
+});
+
+test('imports reject files that are not conversation exports', () => {
+    const context = loadAgent();
+
+    assert.throws(() => context.parseConversationExport('{"format":"other"}'), /Not an LLM Agent conversation export/);
+    assert.throws(() => context.parseConversationExport(JSON.stringify({
+        format: 'llm-agent-conversation',
+        version: 1,
+        messages: [{ role: 'tool', content: '{}' }]
+    })), /has no tool_call_id/);
+});
@@ -0,0 +1,65 @@
+// Headless tests for usage totals and pricing
+// Run with: node --test tests/
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadAgent, plain } = require('./helpers');
+
+test('prices are found by exact name, then by the longest prefix', () => {
+    const context = loadAgent();
+
+    assert.deepEqual(plain(context.findModelPrice('gpt-4o')), { input: 2.5, output: 10 });
+    assert.deepEqual(plain(context.findModelPrice('gpt-4o-mini-2024-07-18')), { input: 0.15, output: 0.6 });
+    assert.deepEqual(plain(context.findModelPrice('my-model', { 'my-model': { input: 1, output: 2 } })), { input: 1, output: 2 });
+    assert.deepEqual(plain(context.findModelPrice('anthropic/claude-3-haiku')), { input: 0.25, output: 1.25 });
+    assert.equal(context.findModelPrice('llama-3'), null);
+});
+
+test('cost is calculated per million tokens and null without a price', () => {
+    const context = loadAgent();
+
+    assert.equal(context.calculateCost({ inputTokens: 2000000, outputTokens: 100000 }, { input: 0.5, output: 1.5 }), 1.15);
+    assert.equal(context.calculateCost({ inputTokens: 10, outputTokens: 10 }, null), null);
+});
+
+test('session totals are rebuilt from the stored messages', () => {
+    const context = loadAgent();
+
+    const totals = context.summarizeUsage([
+        { role: 'user', content: 'hi' },
+        { role: 'assistant', content: null, usage: { inputTokens: 100, outputTokens: 20, cost: 0.5 } },
+        { role: 'tool', tool_call_id: 'a', content: '{}' },
+        { role: 'assistant', content: 'done', usage: { inputTokens: 150, outputTokens: 30, cost: null } },
+        { role: 'assistant', content: 'no usage reported' },
+        { role: 'assistant', content: 'simulated', simulated: true },
+        { role: 'assistant', content: '⏹️ Stopped by user.', cancelled: true }
+    ]);
+
+    assert.deepEqual(plain(totals), {
+        inputTokens: 250,
+        outputTokens: 50,
+        totalTokens: 300,
+        cost: 0.5,
+        calls: 3,
+        toolCalls: 1,
+        unpricedCalls: 2
+    });
+});
+
+test('costs are formatted with extra digits below one cent', () => {
+    const context = loadAgent();
+
+    assert.equal(context.formatCost(1.5), '$1.50');
+    assert.equal(context.formatCost(0.00042), '$0.0004');
+    assert.equal(context.formatCost(0), '$0.00');
+    assert.equal(context.formatCost(null), 'n/a');
+});
+
+test('price tables from the settings are validated', () => {
+    const context = loadAgent();
+
+    assert.deepEqual(plain(context.parsePriceTable('{"local": {"input": 0, "output": 0}}')), { local: { input: 0, output: 0 } });
+    assert.throws(() => context.parsePriceTable('{"gpt-4o": 2}'), /"gpt-4o" needs numeric input and output prices/);
+    assert.throws(() => context.parsePriceTable('[]'), /Expected an object/);
+    assert.throws(() => context.parsePriceTable('{'), /Not valid JSON/);
+});
@@ -0,0 +1,75 @@
+// Headless tests for the encrypted credential vault
+// Run with: node --test tests/
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadAgent, plain } = require('./helpers');
+
+function memoryStorage() {
+    const items = new Map();
+    return {
+        items,
+        getItem: (key) => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => items.set(key, String(value)),
+        removeItem: (key) => items.delete(key)
+    };
+}
+
+function createVault(storage = memoryStorage()) {
+    // Few PBKDF2 iterations keep the tests fast
+    const context = loadAgent();
+    return new context.CredentialVault({ storage, iterations: 1000 });
+}
+
+test('credentials are stored encrypted and come back after unlocking', async () => {
+    const storage = memoryStorage();
+    const vault = createVault(storage);
+
+    await vault.create('correct horse', { openaiApiKey: 'sk-secret', googleSearchEngineId: 'cx-1' });
+    const stored = storage.getItem('llmAgentVault');
+    assert.ok(!stored.includes('sk-secret'));
+    assert.equal(JSON.parse(stored).format, 'llm-agent-vault');
+
+    const reopened = createVault(storage);
+    assert.equal(reopened.exists(), true);
+    assert.equal(reopened.isUnlocked, false);
+    assert.deepEqual(plain(await reopened.unlock('correct horse')), { openaiApiKey: 'sk-secret', googleSearchEngineId: 'cx-1' });
+    assert.equal(reopened.isUnlocked, true);
+});
+
+test('a wrong passphrase or tampered data does not unlock the vault', async () => {
+    const storage = memoryStorage();
+    await createVault(storage).create('correct horse', { openaiApiKey: 'sk-secret' });
+
+    await assert.rejects(createVault(storage).unlock('wrong horse'), /Wrong passphrase or damaged vault/);
+
+    const record = JSON.parse(storage.getItem('llmAgentVault'));
+    record.data = Buffer.from('tampered-data-tampered').toString('base64');
+    storage.setItem('llmAgentVault', JSON.stringify(record));
+    await assert.rejects(createVault(storage).unlock('correct horse'), /Wrong passphrase or damaged vault/);
+});
+
+test('short passphrases are refused and a locked vault cannot be written', async () => {
+    const vault = createVault();
+
+    await assert.rejects(vault.create('short', {}), /at least 8 characters/);
+    await assert.rejects(vault.save({ openaiApiKey: 'sk' }), /Vault is locked/);
+    await assert.rejects(vault.unlock('anything'), /No credential vault saved/);
+});
+
+test('forget removes one credential and lock drops the key from memory', async () => {
+    const storage = memoryStorage();
+    const vault = createVault(storage);
+    await vault.create('correct horse', { openaiApiKey: 'sk-secret', anthropicApiKey: 'sk-ant' });
+
+    assert.equal(await vault.forget('openaiApiKey'), true);
+    vault.lock();
+    assert.equal(vault.isUnlocked, false);
+    assert.equal(vault.credentials, null);
+    await assert.rejects(vault.forget('anthropicApiKey'), /Vault is locked/);
+
+    assert.deepEqual(plain(await createVault(storage).unlock('correct horse')), { anthropicApiKey: 'sk-ant' });
+
+    vault.destroy();
+    assert.equal(vault.exists(), false);
+});
@@ -0,0 +1,33 @@
+// Example custom tool for LLM Agent POC
+//
+// Load it from index.html after tools.js and before agent.js:
+//   <script src="tools/example-word-count.js"></script>
+
+Tools.define({
+    definition: {
+        type: "function",
+        function: {
+            name: "word_count",
+            description: "Count the words, characters and lines in a piece of text",
+            parameters: {
+                type: "object",
+                properties: {
+                    text: {
+                        type: "string",
+                        description: "The text to count"
+                    }
+                },
+                required: ["text"]
+            }
+        }
+    },
+    handler: async ({ text }) => ({
+        words: text.trim() ? text.trim().split(/\s+/).length : 0,
+        characters: text.length,
+        lines: text.split('\n').length
+    }),
+    formatResult: (result) =>
+        `**Word Count**\n\n${result.words} words • ${result.characters} characters • ${result.lines} lines`,
+    // Start switched off; users can enable it from the Tools section
+    enabled: false
+});
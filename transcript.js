@@ -0,0 +1,143 @@
+// Conversation export/import for LLM Agent POC
+//
+// JSON exports are versioned documents holding the full message history
+// (tool calls, arguments and raw tool results) and can be imported again.
+// Markdown exports are read-only transcripts laid out like the
+// conversation window cards.
+
+const EXPORT_FORMAT = 'llm-agent-conversation';
+const EXPORT_VERSION = 1;
+
+function buildConversationExport(session, messages) {
+    return {
+        format: EXPORT_FORMAT,
+        version: EXPORT_VERSION,
+        exportedAt: new Date().toISOString(),
+        session: {
+            id: session.id,
+            title: session.title,
+            model: session.model,
+            provider: session.provider,
+            createdAt: session.createdAt,
+            updatedAt: session.updatedAt
+        },
+        messages: messages
+    };
+}
+
+function parseConversationExport(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        throw new Error(`Not a valid JSON file (${error.message})`);
+    }
+
+    if (!data || data.format !== EXPORT_FORMAT) {
+        throw new Error('Not an LLM Agent conversation export');
+    }
+    if (typeof data.version !== 'number' || data.version > EXPORT_VERSION) {
+        throw new Error(`Unsupported export version ${data.version}; this app reads up to version ${EXPORT_VERSION}`);
+    }
+    if (!Array.isArray(data.messages)) {
+        throw new Error('Export has no messages array');
+    }
+
+    const roles = ['system', 'user', 'assistant', 'tool'];
+    data.messages.forEach((message, index) => {
+        if (!message || !roles.includes(message.role)) {
+            throw new Error(`Message ${index + 1} has an invalid role`);
+        }
+        if (message.role === 'tool' && !message.tool_call_id) {
+            throw new Error(`Tool result at message ${index + 1} has no tool_call_id`);
+        }
+        for (const call of message.tool_calls || []) {
+            if (!call.id || !call.function || !call.function.name) {
+                throw new Error(`Tool call in message ${index + 1} is missing an id or function name`);
+            }
+        }
+    });
+
+    return {
+        session: data.session || {},
+        messages: data.messages
+    };
+}
+
+function buildMarkdownTranscript(session, messages, formatResult) {
+    // formatResult(toolName, result) gives the same text as the tool-result cards
+    const lines = [`# ${session.title || 'Conversation'}`, ''];
+    const meta = [];
+    if (session.model) meta.push(`**Model:** ${session.model}${session.provider && session.provider !== 'auto' ? ` (${session.provider})` : ''}`);
+    if (session.createdAt) meta.push(`**Started:** ${new Date(session.createdAt).toLocaleString()}`);
+    meta.push(`**Exported:** ${new Date().toLocaleString()}`);
+    lines.push(meta.join(' • '), '');
+
+    const toolNames = new Map();
+    const time = (message) => message.timestamp ? ` _(${new Date(message.timestamp).toLocaleTimeString()})_` : '';
+    const simulated = (message) => message.simulated ? ' 🧪 Simulated' : '';
+    const fence = (text, language = '') => {
+        // Use a longer fence when the text itself contains backticks
+        const ticks = text.includes('```') ? '````' : '```';
+        return `${ticks}${language}\n${text}\n${ticks}`;
+    };
+
+    for (const message of messages) {
+        if (message.role === 'system') {
+            lines.push(`## ⚙️ System${time(message)}`, '', message.content || '', '');
+        } else if (message.role === 'user') {
+            lines.push(`## 👤 User${time(message)}`, '', message.content || '', '');
+        } else if (message.role === 'assistant') {
+            if (message.content && message.content.trim()) {
+                lines.push(`## 🤖 Agent${simulated(message)}${time(message)}`, '', message.content, '');
+            }
+            for (const call of message.tool_calls || []) {
+                toolNames.set(call.id, call.function.name);
+                let args = call.function.arguments;
+                try {
+                    args = JSON.stringify(JSON.parse(args), null, 2);
+                } catch (e) {
+                    // Keep arguments as sent when they are not valid JSON
+                }
+                lines.push(`### 🔧 Tool Call: \`${call.function.name}\`${simulated(message)}`, '', fence(args || '{}', 'json'), '');
+            }
+        } else if (message.role === 'tool') {
+            const name = toolNames.get(message.tool_call_id) || 'tool';
+            let result;
+            try {
+                result = JSON.parse(message.content);
+            } catch (e) {
+                result = message.content;
+            }
+            lines.push(`### ✅ Tool Result: \`${name}\`${simulated(message)}`, '', formatResult(name, result), '');
+            lines.push('<details><summary>Raw result</summary>', '', fence(message.content || '', 'json'), '', '</details>', '');
+        }
+    }
+
+    return lines.join('\n');
+}
+
+function downloadFile(filename, content, mimeType) {
+    const blob = new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+function exportFileName(title, extension) {
+    const slug = (title || 'conversation').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 40);
+    const date = new Date().toISOString().slice(0, 10);
+    return `${slug || 'conversation'}-${date}.${extension}`;
+}
+
+// Export for use in agent.js
+window.buildConversationExport = buildConversationExport;
+window.parseConversationExport = parseConversationExport;
+window.buildMarkdownTranscript = buildMarkdownTranscript;
+window.downloadFile = downloadFile;
+window.exportFileName = exportFileName;
@@ -0,0 +1,101 @@
+// Token usage and cost accounting for LLM Agent POC
+//
+// Providers report usage per call as { inputTokens, outputTokens }. AgentCore
+// stores it on the assistant message together with its cost, so the totals
+// of a session can always be rebuilt from its messages - including sessions
+// resumed from history. Calls without reported usage count as unpriced, so the
+// UI shows "n/a" rather than $0. Prices are USD per million tokens; the defaults
+// below can be overridden per model through the config (prices).
+
+const DEFAULT_MODEL_PRICES = {
+    'gpt-4o-mini': { input: 0.15, output: 0.6 },
+    'gpt-4o': { input: 2.5, output: 10 },
+    'gpt-4-turbo': { input: 10, output: 30 },
+    'gpt-4': { input: 30, output: 60 },
+    'gpt-3.5-turbo': { input: 0.5, output: 1.5 },
+    'claude-3-opus': { input: 15, output: 75 },
+    'claude-3-sonnet': { input: 3, output: 15 },
+    'claude-3-haiku': { input: 0.25, output: 1.25 },
+    'gemini-pro': { input: 0.5, output: 1.5 }
+};
+
+function findModelPrice(model, prices = {}) {
+    // Exact name first, then the longest known prefix ('gpt-4o-mini-2024-07-18');
+    // OpenRouter names ('openai/gpt-4o-mini') also match without their vendor
+    const table = { ...DEFAULT_MODEL_PRICES, ...prices };
+    const names = model && model.includes('/') ? [model, model.slice(model.lastIndexOf('/') + 1)] : [model];
+    for (const name of names) {
+        if (table[name]) return table[name];
+        const prefix = Object.keys(table)
+            .filter(known => name && name.startsWith(known))
+            .sort((a, b) => b.length - a.length)[0];
+        if (prefix) return table[prefix];
+    }
+    return null;
+}
+
+function calculateCost(usage, price) {
+    // null when the model has no price, so unknown costs are not shown as $0
+    if (!usage || !price) return null;
+    return (usage.inputTokens * price.input + usage.outputTokens * price.output) / 1000000;
+}
+
+function summarizeUsage(messages) {
+    // Session totals: { inputTokens, outputTokens, totalTokens, cost, calls, toolCalls, unpricedCalls }
+    const totals = { inputTokens: 0, outputTokens: 0, totalTokens: 0, cost: 0, calls: 0, toolCalls: 0, unpricedCalls: 0 };
+    for (const message of messages) {
+        if (message.role === 'tool') {
+            totals.toolCalls++;
+        }
+        if (message.role !== 'assistant' || message.simulated || message.cancelled) continue;
+
+        totals.calls++;
+        if (!message.usage) {
+            // The provider reported no usage, so the real cost is unknown
+            totals.unpricedCalls++;
+            continue;
+        }
+        totals.inputTokens += message.usage.inputTokens || 0;
+        totals.outputTokens += message.usage.outputTokens || 0;
+        if (typeof message.usage.cost === 'number') {
+            totals.cost += message.usage.cost;
+        } else {
+            totals.unpricedCalls++;
+        }
+    }
+    totals.totalTokens = totals.inputTokens + totals.outputTokens;
+    return totals;
+}
+
+function parsePriceTable(text) {
+    // JSON { model: { input, output } } from the settings; throws on bad input
+    let table;
+    try {
+        table = JSON.parse(text);
+    } catch (error) {
+        throw new Error(`Not valid JSON (${error.message})`);
+    }
+    if (!table || typeof table !== 'object' || Array.isArray(table)) {
+        throw new Error('Expected an object of model names');
+    }
+    for (const [model, price] of Object.entries(table)) {
+        if (!price || typeof price.input !== 'number' || typeof price.output !== 'number' || price.input < 0 || price.output < 0) {
+            throw new Error(`"${model}" needs numeric input and output prices`);
+        }
+    }
+    return table;
+}
+
+function formatCost(cost) {
+    // Sub-cent amounts keep enough digits to be useful
+    if (typeof cost !== 'number') return 'n/a';
+    return cost < 0.01 && cost > 0 ? `$${cost.toFixed(4)}` : `$${cost.toFixed(2)}`;
+}
+
+// Export for use in agent-core.js and agent.js
+window.DEFAULT_MODEL_PRICES = DEFAULT_MODEL_PRICES;
+window.findModelPrice = findModelPrice;
+window.calculateCost = calculateCost;
+window.summarizeUsage = summarizeUsage;
+window.parsePriceTable = parsePriceTable;
+window.formatCost = formatCost;
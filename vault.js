@@ -0,0 +1,144 @@
+// Encrypted credential vault for LLM Agent POC
+//
+// API keys are stored in localStorage encrypted with AES-GCM under a key
+// derived from the user's passphrase (PBKDF2-SHA256), so the browser profile
+// only ever holds ciphertext. The passphrase itself is never stored: unlock()
+// derives the key again and keeps it - non-extractable - in memory until
+// lock(). Every save uses a fresh IV; the salt lives with the vault.
+//
+// Stored record: { format, version, kdf: { salt, iterations }, iv, data }
+// with salt, iv and data base64 encoded.
+
+const VAULT_FORMAT = 'llm-agent-vault';
+const VAULT_VERSION = 1;
+const VAULT_STORAGE_KEY = 'llmAgentVault';
+const VAULT_ITERATIONS = 310000;
+const MIN_PASSPHRASE_LENGTH = 8;
+
+class CredentialVault {
+    constructor({ storage = window.localStorage, storageKey = VAULT_STORAGE_KEY, iterations = VAULT_ITERATIONS } = {}) {
+        this.storage = storage;
+        this.storageKey = storageKey;
+        this.iterations = iterations;
+        this.key = null;
+        this.salt = null;
+        this.credentials = null;
+    }
+
+    exists() {
+        return this.storage.getItem(this.storageKey) !== null;
+    }
+
+    get isUnlocked() {
+        return this.key !== null;
+    }
+
+    async create(passphrase, credentials = {}) {
+        // Starts a new vault, replacing any existing one
+        if (typeof passphrase !== 'string' || passphrase.length < MIN_PASSPHRASE_LENGTH) {
+            throw new Error(`Passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters`);
+        }
+        this.salt = crypto.getRandomValues(new Uint8Array(16));
+        this.key = await deriveVaultKey(passphrase, this.salt, this.iterations);
+        await this.save(credentials);
+    }
+
+    async unlock(passphrase) {
+        // Returns the stored credentials; throws on a wrong passphrase
+        const record = this.readRecord();
+        const salt = fromBase64(record.kdf.salt);
+        const key = await deriveVaultKey(passphrase || '', salt, record.kdf.iterations);
+
+        let plaintext;
+        try {
+            plaintext = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: fromBase64(record.iv) }, key, fromBase64(record.data));
+        } catch (error) {
+            // AES-GCM cannot tell a wrong key from tampered data
+            throw new Error('Wrong passphrase or damaged vault');
+        }
+
+        this.key = key;
+        this.salt = salt;
+        this.iterations = record.kdf.iterations;
+        this.credentials = JSON.parse(new TextDecoder().decode(plaintext));
+        return { ...this.credentials };
+    }
+
+    async save(credentials) {
+        if (!this.isUnlocked) {
+            throw new Error('Vault is locked');
+        }
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        const plaintext = new TextEncoder().encode(JSON.stringify(credentials));
+        const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, this.key, plaintext);
+
+        this.storage.setItem(this.storageKey, JSON.stringify({
+            format: VAULT_FORMAT,
+            version: VAULT_VERSION,
+            kdf: { salt: toBase64(this.salt), iterations: this.iterations },
+            iv: toBase64(iv),
+            data: toBase64(ciphertext)
+        }));
+        this.credentials = { ...credentials };
+    }
+
+    async forget(name) {
+        // Remove one credential and re-encrypt the rest
+        if (!this.isUnlocked) {
+            throw new Error('Vault is locked');
+        }
+        const { [name]: removed, ...rest } = this.credentials;
+        await this.save(rest);
+        return removed !== undefined;
+    }
+
+    lock() {
+        this.key = null;
+        this.credentials = null;
+    }
+
+    destroy() {
+        this.lock();
+        this.salt = null;
+        this.storage.removeItem(this.storageKey);
+    }
+
+    readRecord() {
+        let record;
+        try {
+            record = JSON.parse(this.storage.getItem(this.storageKey));
+        } catch (error) {
+            throw new Error('Saved vault is not valid JSON');
+        }
+        if (!record || record.format !== VAULT_FORMAT) {
+            throw new Error('No credential vault saved');
+        }
+        if (record.version > VAULT_VERSION) {
+            throw new Error(`Unsupported vault version ${record.version}`);
+        }
+        return record;
+    }
+}
+
+async function deriveVaultKey(passphrase, salt, iterations) {
+    const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+    return crypto.subtle.deriveKey(
+        { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+        material,
+        { name: 'AES-GCM', length: 256 },
+        false,
+        ['encrypt', 'decrypt']
+    );
+}
+
+function toBase64(bytes) {
+    return btoa(String.fromCharCode(...new Uint8Array(bytes)));
+}
+
+function fromBase64(text) {
+    return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+}
+
+// Export for use in agent.js
+window.CredentialVault = CredentialVault;
+window.MIN_PASSPHRASE_LENGTH = MIN_PASSPHRASE_LENGTH;